@@ -1,6 +1,7 @@
 import fastify from '../index.js';
 
+// The full service on Vercel: same routes and core as the long-running server
 export default async function handler(req, res) {
   await fastify.ready();
   return fastify.server.emit('request', req, res);
-}
\ No newline at end of file
+}
@@ -1,666 +1,1395 @@
-import 'dotenv/config';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
 import Fastify from 'fastify';
-import pino from 'pino';
-import puppeteer from 'puppeteer';
-
-// Environment detection
-const isVercel = process.env.VERCEL || process.env.NOW_REGION;
-const isProduction = process.env.NODE_ENV === 'production';
-
-const logger = pino({
-  level: process.env.LOG_LEVEL || 'info',
-  timestamp: pino.stdTimeFunctions.isoTime
-});
+import client from 'prom-client';
+import {
+  artifactService,
+  browserPool,
+  browserService,
+  cookieExport,
+  credentialVault,
+  deadLetterStore,
+  ForbiddenError,
+  isVercel,
+  logRedaction,
+  logger,
+  metricsRegistry,
+  NotFoundError,
+  otpChallengeStore,
+  proxyPool,
+  RateLimitedError,
+  readinessService,
+  resolveCredentials,
+  ServiceError,
+  SessionExpiredError,
+  SiteLayoutChangedError,
+  SiteUnavailableError,
+  siteProfile,
+  sessionStore,
+  toErrorPayload,
+  toErrorResponse,
+  TwoFactorRequiredError,
+  UnauthorizedError,
+  ValidationError,
+  washAssistService,
+  WebhookDeliveryFailedError,
+  webhookService
+} from './lib/core.js';
 
 const fastify = Fastify({ 
   logger: {
-    level: process.env.LOG_LEVEL || 'info'
+    level: process.env.LOG_LEVEL || 'info',
+    redact: logRedaction
   }
 });
 
-const antiCaptchaService = {
-  async createTask(sitekey) {
-    const response = await fetch('https://api.anti-captcha.com/createTask', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        clientKey: process.env.anti_key,
-        task: {
-          type: 'NoCaptchaTaskProxyless',
-          websiteURL: 'https://lb.washassist.com/Home/Login',
-          websiteKey: sitekey
-        },
-        softId: 0
-      })
-    });
+// Every error response has the `{ error: { code, message, retryable, phase } }`
+// shape, from a bad field to a failed login
+const sendError = (reply, error, phase = null) => {
+  const { status, body } = toErrorResponse(error, phase);
+  return reply.code(status).send(body);
+};
+
+const badRequest = (reply, message) => sendError(reply, new ValidationError(message, { phase: 'validate_request' }));
+
+// API keys come from `api_keys` (inline JSON) or `api_keys_file`, e.g.
+// [{ "id": "dashboard", "key": "...", "routes": ["/session", "/session-async*"],
+//    "rateLimit": { "max": 30, "windowSeconds": 60 }, "concurrency": 2 }]
+// `keySha256` may be given instead of `key` so the secret isn't stored in
+// plain text. Only the key `id` is ever logged.
+const apiKeyService = {
+  publicRoutes: ['/health', '/ready', '/metrics'],
+  // Need a key even when authentication is otherwise off: the debug bundles
+  // hold screenshots and HTML of logged-in pages
+  keyOnlyRoutes: ['/artifacts*'],
+  keys: null,
+  windows: new Map(),
+  inFlight: new Map(),
+
+  load() {
+    if (this.keys) return this.keys;
     
-    const result = await response.json();
-    if (result.errorId !== 0) {
-      throw new Error(`Anti-captcha create task error: ${result.errorDescription}`);
+    let raw = process.env.api_keys;
+    if (!raw && process.env.api_keys_file) {
+      raw = readFileSync(process.env.api_keys_file, 'utf8');
     }
-    return result.taskId;
-  },
-
-  async getTaskResult(taskId) {
-    const maxAttempts = 20; // Increased attempts
-    const interval = 3000; // Reduced interval to 3 seconds
-    const startTime = Date.now();
-    const maxWaitTime = 90000; // 90 seconds max wait to stay under 2-minute token validity
     
-    for (let i = 0; i < maxAttempts; i++) {
-      await new Promise(resolve => setTimeout(resolve, interval));
-      
-      const elapsed = Date.now() - startTime;
-      if (elapsed > maxWaitTime) {
-        throw new Error(`Captcha timeout after ${elapsed}ms - token would expire`);
-      }
-      
-      const response = await fetch('https://api.anti-captcha.com/getTaskResult', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          clientKey: process.env.anti_key,
-          taskId
-        })
-      });
-      
-      const result = await response.json();
-      
-      if (result.errorId !== 0) {
-        throw new Error(`Anti-captcha get result error: ${result.errorDescription}`);
+    const entries = raw ? JSON.parse(raw) : [];
+    this.keys = entries.map(entry => {
+      if (!entry.id || (!entry.key && !entry.keySha256)) {
+        throw new Error('Each API key needs an id and a key or keySha256');
       }
-      
-      if (result.status === 'ready') {
-        logger.info({ elapsed, attempts: i + 1 }, 'Captcha solved successfully');
-        return result.solution.gRecaptchaResponse;
+      // A digest of any other length would make timingSafeEqual throw on
+      // every request
+      if (entry.keySha256 && !/^[0-9a-f]{64}$/i.test(entry.keySha256)) {
+        throw new Error(`API key ${entry.id} has a keySha256 that is not 64 hex characters`);
       }
-      
-      if (result.status === 'processing') {
-        logger.debug({ attempt: i + 1, elapsed }, 'Captcha still processing');
-        continue;
+      return {
+        id: entry.id,
+        digest: Buffer.from(entry.keySha256 || this.digest(entry.key), 'hex'),
+        routes: entry.routes || ['*'],
+        rateLimit: entry.rateLimit || null,
+        concurrency: entry.concurrency || null
+      };
+    });
+    
+    if (this.keys.length === 0) {
+      // Without keys anyone who can reach the port could list the vault
+      // and log in as its accounts by account_id alone
+      if (credentialVault.isConfigured()) {
+        throw new Error('vault_master_key is set but no API keys are configured - set api_keys or api_keys_file before enabling the vault');
       }
-      
-      // Handle other statuses
-      throw new Error(`Unexpected captcha status: ${result.status}`);
+      logger.warn('No API keys configured - authentication is disabled');
     }
+    return this.keys;
+  },
+
+  digest(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+  },
+
+  extractKey(request) {
+    const header = request.headers.authorization || '';
+    if (header.toLowerCase().startsWith('bearer ')) {
+      return header.slice(7).trim();
+    }
+    return request.headers['x-api-key'] || null;
+  },
+
+  authenticate(key) {
+    const digest = Buffer.from(this.digest(key), 'hex');
+    return this.load().find(entry => timingSafeEqual(entry.digest, digest)) || null;
+  },
+
+  // Patterns are route URLs as registered with Fastify; a trailing `*`
+  // matches any suffix
+  allows(entry, route) {
+    return entry.routes.some(pattern => 
+      pattern.endsWith('*') ? route.startsWith(pattern.slice(0, -1)) : route === pattern
+    );
+  },
+
+  // Fixed window counter per key. Returns the seconds to wait when the
+  // window is exhausted, otherwise null.
+  consume(entry) {
+    if (!entry.rateLimit) return null;
+    
+    const now = Date.now();
+    const windowMs = (entry.rateLimit.windowSeconds || 60) * 1000;
+    let window = this.windows.get(entry.id);
     
-    const elapsed = Date.now() - startTime;
-    throw new Error(`Captcha timeout after ${maxAttempts} attempts (${elapsed}ms)`);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(entry.id, window);
+    }
+    
+    if (window.count >= entry.rateLimit.max) {
+      return Math.ceil((window.resetAt - now) / 1000);
+    }
+    
+    window.count++;
+    return null;
   }
 };
 
-const browserService = {
-  async launch() {
-    const args = [
-      '--no-sandbox',
-      '--disable-gpu',
-      '--disable-web-security',
-      '--disable-dev-shm-usage',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--disable-background-timer-throttling',
-      '--disable-backgrounding-occluded-windows',
-      '--disable-renderer-backgrounding',
-      `--user-agent=${process.env.user_agent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'}`
-    ];
-
-    if (process.env.proxy_url) {
-      args.push(`--proxy-server=${process.env.proxy_url}`);
-    }
-
-    // Handle different deployment environments
-    let launchOptions = {
-      headless: process.env.headless !== 'false',
-      args
-    };
-
-    if (isVercel) {
-      // Vercel hosted app - use regular Puppeteer
-      logger.info('Launching browser for Vercel hosted app');
-      launchOptions.args.push('--single-process'); // Important for Vercel
-    } else if (isProduction) {
-      // Docker/container environment
-      launchOptions.executablePath = '/usr/bin/chromium-browser';
+fastify.addHook('onRequest', async (request, reply) => {
+  const route = request.routeOptions.url;
+  const keys = apiKeyService.load();
+  
+  if (!route || apiKeyService.publicRoutes.includes(route)) {
+    return;
+  }
+  
+  if (keys.length === 0) {
+    if (!apiKeyService.allows({ routes: apiKeyService.keyOnlyRoutes }, route)) return;
+    logger.warn({ route, ip: request.ip, reason: 'no_keys_configured' }, 'API authentication failed');
+    return sendError(reply, new UnauthorizedError('Debug artifacts are only served when API keys are configured', { phase: 'authenticate' }));
+  }
+  
+  const key = apiKeyService.extractKey(request);
+  const entry = key ? apiKeyService.authenticate(key) : null;
+  
+  if (!entry) {
+    logger.warn({ route, ip: request.ip, reason: key ? 'unknown_key' : 'missing_key' }, 'API authentication failed');
+    return sendError(reply, new UnauthorizedError('Invalid or missing API key', { phase: 'authenticate' }));
+  }
+  
+  if (!apiKeyService.allows(entry, route)) {
+    logger.warn({ route, keyId: entry.id, reason: 'route_not_allowed' }, 'API authentication failed');
+    return sendError(reply, new ForbiddenError('API key not allowed for this route', { phase: 'authenticate' }));
+  }
+  
+  const retryAfter = apiKeyService.consume(entry);
+  if (retryAfter !== null) {
+    logger.warn({ route, keyId: entry.id, limit: 'rate', retryAfter }, 'API rate limit exceeded');
+    reply.header('Retry-After', String(retryAfter));
+    return sendError(reply, new RateLimitedError('Rate limit exceeded', { phase: 'authenticate' }));
+  }
+  
+  if (entry.concurrency) {
+    const active = apiKeyService.inFlight.get(entry.id) || 0;
+    if (active >= entry.concurrency) {
+      logger.warn({ route, keyId: entry.id, limit: 'concurrency', active }, 'API concurrency limit exceeded');
+      reply.header('Retry-After', '5');
+      return sendError(reply, new RateLimitedError('Too many concurrent requests', { phase: 'authenticate' }));
     }
-    // Local development uses default puppeteer Chrome
     
-    logger.info({ launchOptions }, 'Launching browser');
-    const browser = await puppeteer.launch(launchOptions);
-    return browser;
+    apiKeyService.inFlight.set(entry.id, active + 1);
+    // 'close' fires for finished and aborted requests alike
+    reply.raw.once('close', () => {
+      apiKeyService.inFlight.set(entry.id, apiKeyService.inFlight.get(entry.id) - 1);
+    });
   }
-};
+  
+  request.apiKeyId = entry.id;
+});
 
-const webhookService = {
-  async callWebhook(webhookUrl, payload) {
-    try {
-      process.env["NODE_TLS_REJECT_UNAUTHORIZED"] = 0;
-      logger.info({ webhookUrl, requestId: payload.request_id }, 'Calling webhook');
-      
-      const response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Webhook call failed with status ${response.status}`);
-      }
-      
-      logger.info({ webhookUrl, requestId: payload.request_id, status: response.status }, 'Webhook called successfully');
-    } catch (error) {
-      logger.error({ 
-        webhookUrl, 
-        requestId: payload.request_id, 
-        error: error.message 
-      }, 'Webhook call failed');
-      // Note: We don't throw here to avoid crashing the async process
+// Errors that escape a route and Fastify's own (a malformed JSON body, an
+// unsupported content type) keep their status but take the common shape
+fastify.setErrorHandler((error, request, reply) => {
+  if (!(error instanceof ServiceError) && error.statusCode >= 400 && error.statusCode < 500) {
+    const validationError = new ValidationError(error.message, { phase: 'validate_request' });
+    validationError.status = error.statusCode;
+    return sendError(reply, validationError);
+  }
+  return sendError(reply, error);
+});
+
+fastify.setNotFoundHandler((request, reply) => 
+  sendError(reply, new NotFoundError(`Route ${request.method} ${request.url.split('?')[0]} not found`))
+);
+
+// Pick the first field present on a WashAssist row; the report XHRs are not
+// consistent about casing or naming between report types and hosts
+const pickField = (row, names, fallback = null) => {
+  for (const name of names) {
+    if (row[name] !== undefined && row[name] !== null && row[name] !== '') {
+      return row[name];
     }
   }
+  return fallback;
 };
 
-const washAssistService = {
-  async processAuthAsync(requestId, webhookUrl, user, pass, code) {
-    logger.info({ requestId, phase: 'async_start' }, 'Starting async authentication');
-    
-    try {
-      const result = await this.login(user, pass, code);
-      
-      // Call success webhook
-      await webhookService.callWebhook(webhookUrl, {
-        request_id: requestId,
-        success: true,
-        cookies: result.cookies,
-        expires: result.expires
-      });
-      
-      logger.info({ requestId, phase: 'async_complete' }, 'Async authentication completed successfully');
-    } catch (error) {
-      logger.error({ requestId, phase: 'async_error', error: error.message }, 'Async authentication failed');
-      
-      // Call failure webhook
-      await webhookService.callWebhook(webhookUrl, {
-        request_id: requestId,
-        success: false,
-        error: `Authentication failed: ${error.message}`
-      });
-    }
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value ?? '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// WashAssist serialises dates either as ISO strings or as /Date(ms)/
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const msMatch = /\/Date\((-?\d+)\)\//.exec(String(value));
+  const date = msMatch ? new Date(parseInt(msMatch[1], 10)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+};
+
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+};
+
+// Report XHR endpoints on the WashAssist portal. These paths and the field
+// names below are best guesses that have not been checked against a live
+// portal - the fixtures in test/harness/fake-washassist.js only mirror the
+// same guesses - so /reports stays behind `reports_experimental`, each path
+// is overridable and `pickField` accepts several spellings.
+const reportDefinitions = {
+  sales: {
+    path: process.env.report_sales_path || '/Reports/GetDailySalesSummary',
+    columns: ['date', 'site_id', 'site_name', 'gross_sales', 'net_sales', 'transactions'],
+    normalize: row => ({
+      date: toIsoDate(pickField(row, ['Date', 'BusinessDate', 'ReportDate', 'date'])),
+      site_id: pickField(row, ['SiteId', 'SiteID', 'siteId', 'Site']),
+      site_name: pickField(row, ['SiteName', 'siteName', 'Name']),
+      gross_sales: toNumber(pickField(row, ['GrossSales', 'TotalSales', 'Sales', 'grossSales'], 0)),
+      net_sales: toNumber(pickField(row, ['NetSales', 'netSales', 'Net'], 0)),
+      transactions: toNumber(pickField(row, ['Transactions', 'TransactionCount', 'Count', 'transactions'], 0))
+    })
   },
 
-  async login(user, pass, code) {
-    const startTime = Date.now();
-    logger.info({ phase: 'start', user }, 'Starting login process');
-    
-    let browser;
+  'wash-counts': {
+    path: process.env.report_wash_counts_path || '/Reports/GetWashCountsByPackage',
+    columns: ['date', 'site_id', 'site_name', 'package', 'count'],
+    normalize: row => ({
+      date: toIsoDate(pickField(row, ['Date', 'BusinessDate', 'ReportDate', 'date'])),
+      site_id: pickField(row, ['SiteId', 'SiteID', 'siteId', 'Site']),
+      site_name: pickField(row, ['SiteName', 'siteName']),
+      package: pickField(row, ['PackageName', 'Package', 'WashName', 'ItemName', 'package']),
+      count: toNumber(pickField(row, ['Count', 'WashCount', 'Quantity', 'Qty', 'count'], 0))
+    })
+  },
+
+  memberships: {
+    path: process.env.report_memberships_path || '/Reports/GetActiveMemberships',
+    columns: ['as_of', 'site_id', 'site_name', 'plan', 'active_count'],
+    normalize: row => ({
+      as_of: toIsoDate(pickField(row, ['AsOfDate', 'Date', 'ReportDate', 'date'])),
+      site_id: pickField(row, ['SiteId', 'SiteID', 'siteId', 'Site']),
+      site_name: pickField(row, ['SiteName', 'siteName']),
+      plan: pickField(row, ['PlanName', 'Plan', 'MembershipName', 'ClubName', 'plan']),
+      active_count: toNumber(pickField(row, ['ActiveCount', 'Active', 'ActiveMembers', 'Count', 'count'], 0))
+    })
+  }
+};
+
+const reportService = {
+  // Load the account's session into a pooled browser context and call the
+  // report XHR from inside the portal page, exactly as the portal's own
+  // report screens do
+  async fetchRows(definition, session, { siteId, from, to, accountKey }) {
+    const lease = await browserPool.acquire({ accountKey });
     try {
-      browser = await browserService.launch();
-      const page = await browser.newPage();
+      const page = await lease.newPage();
+      // Restore the cookies with the attributes they were harvested with;
+      // host-only ones go in by URL so they don't widen to subdomains
+      const { protocol } = new URL(siteProfile.origin());
+      await page.setCookie(...cookieExport.details(session).map(cookie => ({
+        name: cookie.name,
+        value: cookie.value,
+        ...(cookie.domain.startsWith('.') ? { domain: cookie.domain } : { url: `${protocol}//${cookie.domain}` }),
+        path: cookie.path || '/',
+        ...(cookie.expires > 0 ? { expires: cookie.expires } : {}),
+        httpOnly: cookie.httpOnly,
+        secure: cookie.secure,
+        ...(cookie.sameSite ? { sameSite: cookie.sameSite } : {})
+      })));
       
-      logger.info({ phase: 'navigate' }, 'Navigating to washassist');
-      await page.goto('https://lb.washassist.com/', { waitUntil: 'domcontentloaded' });
-      
-      logger.info({ phase: 'extract_sitekey' }, 'Extracting reCAPTCHA sitekey');
-      
-      // Try multiple selectors for the captcha element
-      let sitekey;
-      const captchaSelectors = ['#desktop-captcha', '.g-recaptcha', '[data-sitekey]'];
-      for (const selector of captchaSelectors) {
-        try {
-          sitekey = await page.$eval(selector, el => el.dataset.sitekey || el.getAttribute('data-sitekey'));
-          if (sitekey) break;
-        } catch (e) {
-          logger.debug({ selector, error: e.message }, 'Captcha selector not found');
-        }
-      }
-      
-      if (!sitekey) {
-        throw new Error('Could not extract reCAPTCHA sitekey from page');
+      try {
+        await page.goto(siteProfile.url(siteProfile.get().loginPagePath), { waitUntil: 'domcontentloaded' });
+      } catch (error) {
+        throw new SiteUnavailableError(`Could not load WashAssist portal: ${error.message}`, { phase: 'report_navigate', cause: error });
       }
       
-      logger.info({ sitekey }, 'Found reCAPTCHA sitekey');
-      
-      // Start captcha solving and form filling in parallel to save time
-      logger.info({ phase: 'solve_captcha' }, 'Starting captcha solve');
-      const captchaStartTime = Date.now();
-      const taskId = await antiCaptchaService.createTask(sitekey);
+      const params = new URLSearchParams({ startDate: from, endDate: to });
+      if (siteId) params.set('siteId', siteId);
       
-      logger.info({ phase: 'fill_form' }, 'Filling login form while captcha solves');
-      await page.type('#idLogin', user);
-      await page.type('#idPassword', pass);
-      await page.type('#idCustomerCode', code);
-      
-      // Get captcha token
-      const token = await antiCaptchaService.getTaskResult(taskId);
-      const captchaElapsed = Date.now() - captchaStartTime;
-      logger.info({ phase: 'captcha_solved', elapsed: captchaElapsed }, 'Captcha solved');
-      
-      // Inject token and trigger reCAPTCHA visual update
-      logger.info({ phase: 'inject_token' }, 'Injecting captcha token and triggering visual update');
-      const tokenInjected = await page.evaluate(token => {
+      return await page.evaluate(async (path, query, loginPath) => {
         try {
-          // Set the g-recaptcha-response textarea (standard reCAPTCHA field)
-          const textarea = document.querySelector('textarea[name="g-recaptcha-response"]');
-          if (textarea) {
-            textarea.value = token;
-            textarea.style.display = 'block';
-          }
-          
-          // Set the CaptchaToken hidden field (ASP.NET specific)
-          const captchaTokenField = document.querySelector('#CaptchaToken');
-          if (captchaTokenField) {
-            captchaTokenField.value = token;
-          }
-          
-          // Get the reCAPTCHA widget ID and trigger callback
-          const captchaContainer = document.querySelector('.g-recaptcha, #desktop-captcha');
-          let callbackTriggered = false;
-          
-          if (captchaContainer) {
-            // Method 1: Try to find and call the callback function
-            const callback = captchaContainer.getAttribute('data-callback');
-            if (callback && window[callback]) {
-              window[callback](token);
-              callbackTriggered = true;
-            }
-            
-            // Method 2: Try to use grecaptcha.execute if available
-            if (window.grecaptcha && !callbackTriggered) {
-              try {
-                // Look for widget ID in the iframe or container
-                const iframe = captchaContainer.querySelector('iframe');
-                if (iframe) {
-                  // Extract widget ID from iframe name if possible
-                  const iframeName = iframe.getAttribute('name');
-                  if (iframeName && window.grecaptcha.getResponse) {
-                    // Try to trigger the success callback manually
-                    const widgetId = captchaContainer.getAttribute('data-widget-id') || 0;
-                    if (window.grecaptcha.execute) {
-                      window.grecaptcha.execute(widgetId);
-                      callbackTriggered = true;
-                    }
-                  }
-                }
-              } catch (e) {
-                console.log('grecaptcha.execute failed:', e);
-              }
-            }
-            
-            // Method 3: Try to simulate a successful reCAPTCHA by updating the visual state
-            if (!callbackTriggered) {
-              try {
-                // Add the visual "success" class to the container
-                captchaContainer.classList.add('recaptcha-success');
-                
-                // Look for the checkbox and mark it as checked
-                const checkbox = captchaContainer.querySelector('.recaptcha-checkbox');
-                if (checkbox) {
-                  checkbox.classList.add('recaptcha-checkbox-checked');
-                }
-                
-                // Dispatch a custom event to simulate completion
-                const event = new CustomEvent('recaptcha-success', { 
-                  detail: { token: token },
-                  bubbles: true 
-                });
-                captchaContainer.dispatchEvent(event);
-                callbackTriggered = true;
-              } catch (e) {
-                console.log('Visual state update failed:', e);
-              }
-            }
-          }
-          
-          // Dispatch change events on form fields
-          if (textarea) {
-            textarea.dispatchEvent(new Event('change', { bubbles: true }));
-            textarea.dispatchEvent(new Event('input', { bubbles: true }));
-          }
-          
-          if (captchaTokenField) {
-            captchaTokenField.dispatchEvent(new Event('change', { bubbles: true }));
+          const response = await fetch(`${path}?${query}`, {
+            headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' }
+          });
+          const loggedOut = response.status === 401 || 
+            new URL(response.url).pathname.toLowerCase().startsWith(loginPath.toLowerCase());
+          const text = await response.text();
+          let data = null;
+          try {
+            data = JSON.parse(text);
+          } catch {
+            // Non-JSON (usually the login page) is reported via `loggedOut`
           }
-          
-          return {
-            hasTextarea: !!textarea,
-            hasCaptchaField: !!captchaTokenField,
-            callbackTriggered: callbackTriggered,
-            containerFound: !!captchaContainer
-          };
-        } catch (e) {
-          console.error('Token injection error:', e);
-          return { error: e.message };
+          return { status: response.status, ok: response.ok, loggedOut, data };
+        } catch (error) {
+          return { error: error.message };
         }
-      }, token);
-      
-      if (tokenInjected.error) {
-        throw new Error(`Failed to inject captcha token: ${tokenInjected.error}`);
-      }
-      
-      if (!tokenInjected.hasTextarea || !tokenInjected.hasCaptchaField) {
-        throw new Error('Failed to find required captcha fields on page');
+      }, definition.path, params.toString(), siteProfile.get().loginPostPath);
+    } finally {
+      await lease.release();
+    }
+  },
+
+  async run(report, { user, pass, code, siteId, from, to }) {
+    const definition = reportDefinitions[report];
+    const startTime = Date.now();
+    let session = await washAssistService.login(user, pass, code);
+    
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      if (session.two_factor_required) {
+        await otpChallengeStore.close(session.challenge_id);
+        throw new TwoFactorRequiredError('Two-factor authentication required - create a session via /session first', { phase: 'report_fetch' });
       }
       
-      logger.info({ 
-        phase: 'token_injection_result', 
-        ...tokenInjected 
-      }, 'Token injection completed');
-      
-      // Wait a moment for any visual updates to complete
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Verify captcha token is properly set
-      const captchaStatus = await page.evaluate(() => {
-        const textarea = document.querySelector('textarea[name="g-recaptcha-response"]');
-        const captchaTokenField = document.querySelector('#CaptchaToken');
-        const captchaContainer = document.querySelector('.g-recaptcha, #desktop-captcha');
-        
-        return {
-          hasToken: textarea?.value?.length > 0,
-          tokenLength: textarea?.value?.length || 0,
-          captchaFieldSet: captchaTokenField?.value?.length > 0,
-          containerClasses: captchaContainer?.className || '',
-          isVisible: textarea ? getComputedStyle(textarea).display !== 'none' : false,
-          containerHTML: captchaContainer?.outerHTML?.substring(0, 200) || ''
-        };
+      logger.info({ phase: 'report_fetch', report, siteId, from, to, attempt }, 'Fetching WashAssist report');
+      const result = await this.fetchRows(definition, session, { 
+        siteId, 
+        from, 
+        to, 
+        accountKey: sessionStore.keyFor(user, code) 
       });
       
-      logger.info({ phase: 'captcha_status', ...captchaStatus }, 'Final captcha status check');
-      
-      if (!captchaStatus.hasToken || !captchaStatus.captchaFieldSet) {
-        throw new Error('Captcha token was not properly set in both required fields');
+      if (result.error) {
+        throw new SiteUnavailableError(`Report request failed: ${result.error}`, { phase: 'report_fetch' });
       }
       
-      // Submit the login form via POST request (this is what actually happens in the browser)
-      logger.info({ phase: 'submit_login' }, 'Submitting login via POST request');
-      
-      const loginResponse = await page.evaluate(async (user, pass, code, token) => {
-        try {
-          // Create form data exactly like the browser does
-          const formData = new URLSearchParams();
-          formData.append('TimeZoneOffset', '-360');
-          formData.append('CaptchaToken', token);
-          formData.append('UserName', user);
-          formData.append('Password', pass);
-          formData.append('CustomerCode', code);
-          formData.append('OTPTOken', '');
-          formData.append('bOTPTOken', '');
-          formData.append('bResendOTPTOken', 'false');
-          formData.append('g-recaptcha-response', token);
-          
-          const response = await fetch('/Home/Login', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/x-www-form-urlencoded',
-              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-              'Cache-Control': 'max-age=0',
-              'Origin': 'https://lb.washassist.com',
-              'Referer': 'https://lb.washassist.com/',
-              'Sec-Fetch-Dest': 'document',
-              'Sec-Fetch-Mode': 'navigate',
-              'Sec-Fetch-Site': 'same-origin',
-              'Sec-Fetch-User': '?1',
-              'Upgrade-Insecure-Requests': '1'
-            },
-            body: formData.toString()
-          });
-          
-          return {
-            status: response.status,
-            ok: response.ok,
-            url: response.url,
-            redirected: response.redirected
-          };
-        } catch (error) {
-          return {
-            error: error.message
-          };
+      if (result.loggedOut) {
+        logger.info({ phase: 'report_relogin', report }, 'Report request was logged out, logging in again');
+        await sessionStore.delete(user, code);
+        if (attempt === 1) {
+          session = await washAssistService.login(user, pass, code, { force: true });
         }
-      }, user, pass, code, token);
-      
-      logger.info({ 
-        phase: 'login_response', 
-        response: loginResponse 
-      }, 'Login POST response received');
-      
-      if (loginResponse.error) {
-        throw new Error(`Login request failed: ${loginResponse.error}`);
+        continue;
       }
       
-      if (!loginResponse.ok) {
-        throw new Error(`Login failed with status ${loginResponse.status}`);
+      if (!result.ok) {
+        throw new SiteUnavailableError(`Report request failed with status ${result.status}`, { phase: 'report_fetch' });
       }
       
-      // Wait a moment for cookies to be set after successful login
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      logger.info({ phase: 'check_2fa' }, 'Checking 2FA status');
-      const twofa = await page.evaluate(async () => {
-        try {
-          const response = await fetch('/Home/CheckTwoFacotEnabledOrResendOtp', {
-            method: 'POST',
-            headers: { 'content-type': 'application/json' },
-            body: JSON.stringify({ loginData: {} })
-          });
-          return response.ok ? (await response.json()).isEnabled : false;
-        } catch (e) {
-          return false;
-        }
-      });
+      const rawRows = Array.isArray(result.data) 
+        ? result.data 
+        : (result.data?.data || result.data?.rows || result.data?.Data || null);
       
-      if (twofa) {
-        throw new Error('2FA enabled – abort / ask user to disable');
+      if (!Array.isArray(rawRows)) {
+        throw new SiteLayoutChangedError(`Unexpected ${report} report format`, { phase: 'report_normalize' });
       }
       
-      // Debug page state before harvesting cookies
-      logger.info({ phase: 'debug_page_state' }, 'Debugging page state');
-      const pageInfo = await page.evaluate(() => ({
-        url: window.location.href,
-        title: document.title,
-        hasLoginForm: !!document.querySelector('#idLogin'),
-        hasErrorMessages: !!document.querySelector('.error, .alert-danger, .validation-summary-errors'),
-        bodyText: document.body.innerText.substring(0, 500), // First 500 chars
-        readyState: document.readyState
-      }));
-      
-      logger.info({ phase: 'page_info', pageInfo }, 'Current page state');
-      
-      // Take screenshot for debugging (only if DUMP_SCREENSHOTS env var is set)
-      if (process.env.DUMP_SCREENSHOTS === 'true') {
-        try {
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const screenshotPath = `/tmp/washassist-debug-${timestamp}.png`;
-          await page.screenshot({ path: screenshotPath, fullPage: true });
-          logger.info({ phase: 'screenshot', path: screenshotPath }, 'Screenshot saved');
-        } catch (screenshotError) {
-          logger.warn({ error: screenshotError.message }, 'Failed to take screenshot');
-        }
-      } else {
-        logger.debug({ phase: 'screenshot_skipped' }, 'Screenshot disabled (DUMP_SCREENSHOTS not set)');
+      const rows = rawRows.map(definition.normalize);
+      logger.info({ phase: 'report_complete', report, rows: rows.length, elapsed: Date.now() - startTime }, 'Report fetched');
+      return { report, site_id: siteId || null, from, to, rows };
+    }
+    
+    throw new SessionExpiredError('WashAssist rejected the session after a fresh login', { phase: 'report_fetch' });
+  }
+};
+
+const batchLimits = {
+  maxAccounts: parseInt(process.env.batch_max_accounts || '100', 10),
+  // Defaults to what the browser pool can run at once
+  concurrency: parseInt(process.env.batch_concurrency || String(browserPool.maxBrowsers * browserPool.maxContexts), 10),
+  // Session checks need no browser, only a request each
+  checkConcurrency: Math.max(1, parseInt(process.env.session_check_concurrency || '8', 10))
+};
+
+const validateBatchAccounts = (accounts) => {
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return 'accounts must be a non-empty array';
+  }
+  
+  if (accounts.length > batchLimits.maxAccounts) {
+    return `accounts may contain at most ${batchLimits.maxAccounts} entries`;
+  }
+  
+  const invalid = accounts.findIndex(account => 
+    !account || (!account.account_id && (!account.user || !account.pass || !account.code))
+  );
+  if (invalid !== -1) {
+    return `accounts[${invalid}] needs account_id or user, pass and code`;
+  }
+  
+  return null;
+};
+
+const batchConcurrency = (requested) => {
+  const value = parseInt(requested, 10);
+  return Number.isFinite(value) && value > 0 ? Math.min(value, batchLimits.concurrency) : batchLimits.concurrency;
+};
+
+fastify.post('/session-async', async (request, reply) => {
+  try {
+    const { request_id, webhook_url, webhook_insecure, progress_webhook_url, account_id, user, pass, code, force, format, debug_artifacts, debug_logging } = request.body ?? {};
+    
+    if (!request_id || !webhook_url || (!account_id && (!user || !pass || !code))) {
+      return badRequest(reply, 'Missing required fields: request_id, webhook_url, and account_id or user, pass, code');
+    }
+    
+    const artifactMode = artifactService.mode(debug_artifacts);
+    if (artifactMode === undefined) {
+      return badRequest(reply, 'debug_artifacts must be true, false or always');
+    }
+    
+    // Validate webhook URL format
+    try {
+      new URL(webhook_url);
+    } catch {
+      return badRequest(reply, 'Invalid webhook_url format');
+    }
+    
+    const cookieFormat = cookieExport.format(format);
+    if (cookieFormat === undefined) {
+      return badRequest(reply, 'format must be header, json, netscape or set-cookie');
+    }
+    
+    if (progress_webhook_url) {
+      try {
+        new URL(progress_webhook_url);
+      } catch {
+        return badRequest(reply, 'Invalid progress_webhook_url format');
       }
-      
-      logger.info({ phase: 'harvest_cookies' }, 'Harvesting cookies');
-      const cookiePick = ["ASP.NET_SessionId", ".micrologicAUTH", "r_ssoCookie"];
-      
-      // Retry mechanism to wait for all required cookies
-      let filteredCookies = [];
-      const maxRetries = 20; // ~10 seconds with 500ms intervals
-      const retryInterval = 500;
-      
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        // Get all cookies from current page/domain
-        const rawCookies = await page.cookies();
-        
-        // Also try to get cookies from common WashAssist domains
-        let additionalCookies = [];
-        try {
-          const washAssistCookies = await page.cookies('https://washassist.com');
-          const lbWashAssistCookies = await page.cookies('https://lb.washassist.com');
-          additionalCookies = [...washAssistCookies, ...lbWashAssistCookies];
-        } catch (e) {
-          logger.debug({ error: e.message }, 'Could not fetch cookies from additional domains');
-        }
-        
-        const allCookies = [...rawCookies, ...additionalCookies];
-        
-        // Remove duplicates based on name and domain
-        const uniqueCookies = allCookies.filter((cookie, index, arr) => 
-          arr.findIndex(c => c.name === cookie.name && c.domain === cookie.domain) === index
-        );
-        
-        // Log all cookies for debugging
-        logger.info({ 
-          phase: 'raw_cookies', 
-          attempt: attempt + 1,
-          currentUrl: await page.url(),
-          totalCookies: uniqueCookies.length,
-          allCookieNames: uniqueCookies.map(c => c.name),
-          rawCookies: uniqueCookies.map(c => ({ name: c.name, domain: c.domain, path: c.path, httpOnly: c.httpOnly, secure: c.secure }))
-        }, 'All cookies found after login');
-        
-        filteredCookies = uniqueCookies.filter(c => cookiePick.includes(c.name));
-        
-        // Check if we have all required cookies
-        const foundCookieNames = filteredCookies.map(c => c.name);
-        const missingCookies = cookiePick.filter(name => !foundCookieNames.includes(name));
-        
-        if (missingCookies.length === 0) {
-          logger.info({ 
-            phase: 'harvest_cookies', 
-            attempt: attempt + 1,
-            cookiesFound: foundCookieNames 
-          }, 'All required cookies found');
-          break;
-        }
-        
-        logger.info({ 
-          phase: 'harvest_cookies', 
-          attempt: attempt + 1,
-          missingCookies,
-          foundCookies: foundCookieNames
-        }, 'Waiting for missing cookies');
-        
-        if (attempt === maxRetries - 1) {
-          throw new Error(`Missing required cookies after ${maxRetries * retryInterval}ms: ${missingCookies.join(', ')}`);
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, retryInterval));
+    }
+    
+    const { job, duplicate } = await jobQueue.enqueue({
+      requestId: request_id,
+      webhookUrl: webhook_url,
+      webhookInsecure: webhook_insecure,
+      progressWebhookUrl: progress_webhook_url,
+      // Vault accounts are resolved when the job runs, so the journal never
+      // holds their password
+      credentials: account_id ? { account_id } : { user, pass, code },
+      force,
+      format: cookieFormat,
+      artifactMode,
+      verbose: debug_logging === true
+    });
+    
+    return reply.code(202).send({
+      success: true,
+      message: duplicate ? 'Authentication request already submitted' : 'Authentication request queued',
+      request_id,
+      state: job.state,
+      duplicate
+    });
+    
+  } catch (error) {
+    return sendError(reply, error, 'async_start');
+  }
+});
+
+// Durable queue behind /session-async. Every state change is appended to a
+// JSON-lines journal as a full job snapshot; replaying it on start-up picks
+// up jobs that were queued or running when the process went down. Inline
+// passwords never reach the journal in the clear: they are sealed with the
+// vault key when one is set, otherwise kept in memory only, in which case a
+// restart fails those jobs rather than resuming them.
+const jobQueue = {
+  path: process.env.job_journal_path || './data/jobs.jsonl',
+  concurrency: Math.max(1, parseInt(process.env.job_concurrency || '2', 10)),
+  retentionMs: parseInt(process.env.job_retention_hours || '24', 10) * 60 * 60 * 1000,
+  jobs: new Map(),
+  waiting: [],
+  active: 0,
+  writing: Promise.resolve(),
+  loading: null,
+
+  ready() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  },
+
+  async load() {
+    let lines = [];
+    try {
+      lines = (await readFile(this.path, 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ path: this.path, error: error.message }, 'Could not read job journal, starting empty');
       }
+    }
+    
+    for (const line of lines) {
+      try {
+        const job = JSON.parse(line);
+        this.jobs.set(job.request_id, job);
+      } catch {
+        logger.warn({ path: this.path }, 'Skipping corrupt job journal line');
+      }
+    }
+    
+    for (const job of this.jobs.values()) {
+      const { sealedCredentials } = job;
+      delete job.sealedCredentials;
+      if (!sealedCredentials || job.finishedAt) continue;
+      try {
+        job.credentials = credentialVault.open(sealedCredentials);
+      } catch (error) {
+        logger.warn({ requestId: job.request_id, error: error.message }, 'Could not unseal job credentials');
+      }
+    }
+    
+    await this.compact();
+    
+    // Anything that never finished is run again from the start
+    const resumed = [...this.jobs.values()].filter(job => job.state === 'queued' || job.state === 'running');
+    for (const job of resumed) {
+      job.state = 'queued';
+      job.startedAt = null;
+      this.waiting.push(job.request_id);
+    }
+    
+    logger.info({ path: this.path, jobs: this.jobs.size, resumed: resumed.length }, 'Job journal loaded');
+    this.drain();
+  },
+
+  // Rewrite the journal with one line per job, dropping expired jobs and the
+  // credentials of jobs that have already finished
+  async compact() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [requestId, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(requestId);
+      } else if (job.finishedAt) {
+        delete job.credentials;
+      }
+    }
+    
+    this.writing = this.writing.then(async () => {
+      const tmpPath = `${this.path}.tmp`;
+      const contents = [...this.jobs.values()].map(job => JSON.stringify(this.snapshot(job)) + '\n').join('');
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(tmpPath, contents, { mode: 0o600 });
+      await rename(tmpPath, this.path);
+    }).catch(error => {
+      logger.error({ path: this.path, error: error.message }, 'Failed to compact job journal');
+    });
+    return this.writing;
+  },
+
+  // The job as the journal stores it. Vault account_ids are kept as they
+  // are; credentials carrying a password are sealed or left out.
+  snapshot(job) {
+    const { credentials, ...snapshot } = job;
+    if (!credentials || job.finishedAt) return snapshot;
+    
+    const inline = credentials.pass || credentials.accounts?.some(account => account.pass);
+    if (!inline) return { ...snapshot, credentials };
+    return credentialVault.isConfigured() ? { ...snapshot, sealedCredentials: credentialVault.seal(credentials) } : snapshot;
+  },
+
+  record(job) {
+    const snapshot = this.snapshot(job);
+    
+    this.writing = this.writing.then(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      await appendFile(this.path, JSON.stringify(snapshot) + '\n', { mode: 0o600 });
+    }).catch(error => {
+      logger.error({ path: this.path, requestId: job.request_id, error: error.message }, 'Failed to write job journal');
+    });
+    return this.writing;
+  },
+
+  // Returns the existing job untouched when the request_id was seen before
+  // `kind` is 'login' (credentials: { user, pass, code }, plus an optional
+  // progressWebhookUrl) or 'batch' (credentials: { accounts }, plus
+  // webhookMode and concurrency). `format` is the cookieExport format.
+  async enqueue({ requestId, kind = 'login', webhookUrl, webhookInsecure, progressWebhookUrl, webhookMode, concurrency, holdChallenges = false, credentials, force, format = 'header', artifactMode = null, verbose = false }) {
+    await this.ready();
+    
+    const existing = this.jobs.get(requestId);
+    if (existing) {
+      logger.info({ requestId, state: existing.state }, 'Ignoring duplicate job submission');
+      return { job: existing, duplicate: true };
+    }
+    
+    const job = {
+      request_id: requestId,
+      kind,
+      webhook_url: webhookUrl,
+      webhook_insecure: webhookInsecure === true,
+      ...(kind === 'batch' ? { webhook_mode: webhookMode, concurrency, hold_challenges: holdChallenges === true } : {}),
+      ...(progressWebhookUrl ? { progress_webhook_url: progressWebhookUrl } : {}),
+      state: 'queued',
+      force: force === true,
+      format,
+      debug_artifacts: artifactMode,
+      debug_logging: verbose === true,
+      credentials,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null
+    };
+    
+    this.jobs.set(requestId, job);
+    await this.record(job);
+    this.waiting.push(requestId);
+    this.drain();
+    
+    return { job, duplicate: false };
+  },
+
+  drain() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const job = this.jobs.get(this.waiting.shift());
+      if (!job || job.state !== 'queued') continue;
       
-      const cookieJar = filteredCookies.map(c => `${c.name}=${c.value}`).join('; ');
-      
-      const expires = new Date(Date.now() + 25 * 60 * 1000).toISOString();
-      const elapsed = Date.now() - startTime;
-      
-      logger.info({ 
-        phase: 'complete', 
-        elapsed,
-        cookieCount: filteredCookies.length 
-      }, 'Login completed successfully');
-      
-      return {
-        cookies: [cookieJar],
-        expires
-      };
-      
-    } catch (error) {
-      const elapsed = Date.now() - startTime;
-      logger.error({ 
-        phase: 'error', 
-        elapsed,
-        error: error.message 
-      }, 'Login failed');
-      throw error;
-    } finally {
-      if (browser) {
-        await browser.close();
+      this.active++;
+      this.run(job)
+        .catch(error => {
+          logger.error({ requestId: job.request_id, error: error.message }, 'Job runner crashed');
+        })
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  },
+
+  async run(job) {
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    await this.record(job);
+    
+    let credentials = job.credentials || {};
+    let credentialsError = null;
+    
+    if (credentials.account_id) {
+      try {
+        credentials = await resolveCredentials(credentials);
+      } catch (error) {
+        credentialsError = error;
       }
     }
+    
+    const { user, pass, code, accounts } = credentials;
+    const artifacts = job.debug_artifacts ? { id: job.request_id, mode: job.debug_artifacts } : null;
+    const hasCredentials = job.kind === 'batch' ? Array.isArray(accounts) : !!(user && pass && code);
+    let payload;
+    
+    if (!hasCredentials) {
+      payload = {
+        request_id: job.request_id,
+        success: false,
+        error: credentialsError 
+          ? toErrorPayload(credentialsError, 'async_start') 
+          : new ServiceError('Job credentials were lost in a restart - set vault_master_key so queued jobs can resume', { phase: 'async_start' }).toJSON()
+      };
+      await webhookService.callWebhook(job.webhook_url, payload, { insecure: job.webhook_insecure });
+    } else if (job.kind === 'batch') {
+      payload = await washAssistService.processBatchAsync(job.request_id, job.webhook_url, accounts, {
+        force: job.force,
+        webhookInsecure: job.webhook_insecure,
+        webhookMode: job.webhook_mode,
+        concurrency: job.concurrency,
+        holdChallenges: job.hold_challenges === true,
+        format: job.format,
+        artifacts,
+        verbose: job.debug_logging === true
+      });
+    } else {
+      payload = await washAssistService.processAuthAsync(job.request_id, job.webhook_url, user, pass, code, {
+        force: job.force,
+        webhookInsecure: job.webhook_insecure,
+        progressWebhookUrl: job.progress_webhook_url,
+        format: job.format,
+        artifacts,
+        verbose: job.debug_logging === true
+      });
+    }
+    
+    job.state = payload.success ? 'succeeded' : 'failed';
+    job.finishedAt = new Date().toISOString();
+    job.result = payload;
+    delete job.credentials;
+    // Compacting rather than appending also scrubs the credentials that the
+    // earlier queued/running lines of this job carried
+    await this.compact();
+  },
+
+  describe(job) {
+    const finished = job.finishedAt ? new Date(job.finishedAt).getTime() : null;
+    const started = job.startedAt ? new Date(job.startedAt).getTime() : null;
+    
+    return {
+      request_id: job.request_id,
+      kind: job.kind || 'login',
+      state: job.state,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs: started && finished ? finished - started : null,
+      result: job.result
+    };
+  },
+
+  async get(requestId) {
+    await this.ready();
+    const job = this.jobs.get(requestId);
+    return job ? this.describe(job) : null;
   }
 };
 
-fastify.post('/session-async', async (request, reply) => {
+// /ready checks that the job journal's directory is writable too
+readinessService.storagePaths.push(jobQueue.path);
+
+fastify.post('/session-async/batch', async (request, reply) => {
   try {
-    const { request_id, webhook_url, user, pass, code } = request.body;
+    const { request_id, webhook_url, webhook_insecure, webhook_mode = 'combined', accounts, concurrency, hold_challenges, force, format, debug_artifacts, debug_logging } = request.body ?? {};
     
-    if (!request_id || !webhook_url || !user || !pass || !code) {
-      return reply.code(400).send({ 
-        error: 'Missing required fields: request_id, webhook_url, user, pass, code' 
-      });
+    if (!request_id || !webhook_url) {
+      return badRequest(reply, 'Missing required fields: request_id, webhook_url, accounts');
+    }
+    
+    const accountsError = validateBatchAccounts(accounts);
+    if (accountsError) {
+      return badRequest(reply, accountsError);
+    }
+    
+    if (!['combined', 'per_account'].includes(webhook_mode)) {
+      return badRequest(reply, 'webhook_mode must be combined or per_account');
+    }
+    
+    const artifactMode = artifactService.mode(debug_artifacts);
+    if (artifactMode === undefined) {
+      return badRequest(reply, 'debug_artifacts must be true, false or always');
+    }
+    
+    const cookieFormat = cookieExport.format(format);
+    if (cookieFormat === undefined) {
+      return badRequest(reply, 'format must be header, json, netscape or set-cookie');
     }
     
-    // Validate webhook URL format
     try {
       new URL(webhook_url);
     } catch {
-      return reply.code(400).send({ 
-        error: 'Invalid webhook_url format' 
-      });
+      return badRequest(reply, 'Invalid webhook_url format');
     }
     
-    // Start async processing without waiting
-    setImmediate(() => {
-      washAssistService.processAuthAsync(request_id, webhook_url, user, pass, code);
+    const { job, duplicate } = await jobQueue.enqueue({
+      requestId: request_id,
+      kind: 'batch',
+      webhookUrl: webhook_url,
+      webhookInsecure: webhook_insecure,
+      webhookMode: webhook_mode,
+      concurrency: batchConcurrency(concurrency),
+      holdChallenges: hold_challenges === true,
+      credentials: { 
+        accounts: accounts.map(({ id, account_id, user, pass, code, force }) => 
+          account_id ? { id, account_id, force } : { id, user, pass, code, force }
+        ) 
+      },
+      force,
+      format: cookieFormat,
+      artifactMode,
+      verbose: debug_logging === true
     });
     
     return reply.code(202).send({
       success: true,
-      message: 'Authentication request queued',
-      request_id
+      message: duplicate ? 'Batch request already submitted' : 'Batch request queued',
+      request_id,
+      accounts: accounts.length,
+      state: job.state,
+      duplicate
     });
     
   } catch (error) {
-    logger.error({ error: error.message }, 'Session-async endpoint error');
-    return reply.code(500).send({ error: 'Internal server error' });
+    return sendError(reply, error, 'async_start');
+  }
+});
+
+fastify.get('/session-async/:request_id', async (request, reply) => {
+  try {
+    const job = await jobQueue.get(request.params.request_id);
+    
+    if (!job) {
+      return sendError(reply, new NotFoundError('Unknown request_id', { phase: 'job_status' }));
+    }
+    
+    return reply.send(job);
+    
+  } catch (error) {
+    return sendError(reply, error, 'job_status');
+  }
+});
+
+fastify.get('/webhooks/dead-letters', async (request, reply) => {
+  try {
+    const entries = await deadLetterStore.list();
+    return reply.send({
+      count: entries.length,
+      entries: entries.map(({ payload, ...entry }) => ({
+        ...entry,
+        request_id: payload.request_id,
+        success: payload.success
+      }))
+    });
+    
+  } catch (error) {
+    return sendError(reply, error, 'dead_letters');
+  }
+});
+
+fastify.post('/webhooks/dead-letters/:id/replay', async (request, reply) => {
+  try {
+    const outcome = await webhookService.replay(request.params.id);
+    
+    if (!outcome) {
+      return sendError(reply, new NotFoundError('Unknown dead-letter id', { phase: 'webhook_replay' }));
+    }
+    
+    if (!outcome.delivered) {
+      return sendError(reply, new WebhookDeliveryFailedError(
+        `Webhook replay failed after ${outcome.attempts} attempts: ${outcome.error}`, 
+        { phase: 'webhook_replay' }
+      ));
+    }
+    
+    return reply.send({ success: true, attempts: outcome.attempts });
+    
+  } catch (error) {
+    return sendError(reply, error, 'webhook_replay');
+  }
+});
+
+const artifactContentTypes = {
+  '.png': 'image/png',
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.har': 'application/json; charset=utf-8'
+};
+
+fastify.get('/artifacts', async (request, reply) => {
+  try {
+    const bundles = await artifactService.list();
+    return reply.send({ count: bundles.length, bundles });
+    
+  } catch (error) {
+    return sendError(reply, error, 'artifacts');
+  }
+});
+
+fastify.get('/artifacts/:id', async (request, reply) => {
+  try {
+    const manifest = await artifactService.manifest(request.params.id);
+    
+    if (!manifest) {
+      return sendError(reply, new NotFoundError('Unknown artifact id', { phase: 'artifacts' }));
+    }
+    
+    return reply.send(manifest);
+    
+  } catch (error) {
+    return sendError(reply, error, 'artifacts');
+  }
+});
+
+fastify.get('/artifacts/:id/:file', async (request, reply) => {
+  try {
+    const { id, file } = request.params;
+    const path = await artifactService.file(id, file);
+    
+    if (!path) {
+      return sendError(reply, new NotFoundError('Unknown artifact file', { phase: 'artifacts' }));
+    }
+    
+    const extension = file.slice(file.lastIndexOf('.'));
+    reply.header('X-Content-Type-Options', 'nosniff');
+    // Captured pages are downloaded rather than rendered on our origin
+    if (extension === '.html') {
+      reply.header('Content-Disposition', `attachment; filename="${id}-${file}"`);
+    }
+    return reply
+      .type(artifactContentTypes[extension] || 'application/octet-stream')
+      .send(await readFile(path));
+    
+  } catch (error) {
+    return sendError(reply, error, 'artifacts');
   }
 });
 
+// Take over the response for a `stream: "sse"` or `stream: "ndjson"` request
+// and return a writer for its events. The caller ends the response.
+const openEventStream = (reply, stream) => {
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    'Content-Type': stream === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  return (event, data) => {
+    if (reply.raw.destroyed) return;
+    reply.raw.write(stream === 'sse'
+      ? `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+      : JSON.stringify({ event, ...data }) + '\n');
+  };
+};
+
+// With `stream: "sse"` or `stream: "ndjson"` a `progress` event is sent as
+// each login phase starts ({ phase, elapsed_ms }), then one `result` or
+// `error` event carrying what the plain response would have
 fastify.post('/session', async (request, reply) => {
   try {
-    const { user, pass, code } = request.body;
+    const { account_id, force, stream, format, debug_artifacts, debug_logging } = request.body ?? {};
     
-    if (!user || !pass || !code) {
-      return reply.code(400).send({ 
-        error: 'Missing required fields: user, pass, code' 
-      });
+    if (!account_id && (!request.body?.user || !request.body?.pass || !request.body?.code)) {
+      return badRequest(reply, 'Missing required fields: account_id or user, pass, code');
+    }
+    
+    if (stream && !['ndjson', 'sse'].includes(stream)) {
+      return badRequest(reply, 'stream must be ndjson or sse');
+    }
+    
+    const cookieFormat = cookieExport.format(format);
+    if (cookieFormat === undefined) {
+      return badRequest(reply, 'format must be header, json, netscape or set-cookie');
+    }
+    
+    const artifactMode = artifactService.mode(debug_artifacts);
+    if (artifactMode === undefined) {
+      return badRequest(reply, 'debug_artifacts must be true, false or always');
+    }
+    
+    const { user, pass, code } = await resolveCredentials(request.body);
+    const options = { 
+      force: force === true,
+      artifacts: artifactMode && { id: randomUUID(), mode: artifactMode },
+      verbose: debug_logging === true
+    };
+    
+    if (stream) {
+      const write = openEventStream(reply, stream);
+      try {
+        const result = await washAssistService.login(user, pass, code, {
+          ...options,
+          onProgress: event => write('progress', event)
+        });
+        write('result', { status: result.two_factor_required ? 202 : 200, ...cookieExport.present(result, cookieFormat) });
+      } catch (error) {
+        const { status, body } = toErrorResponse(error, 'login');
+        write('error', { status, ...body });
+      } finally {
+        reply.raw.end();
+      }
+      return;
+    }
+    
+    const result = await washAssistService.login(user, pass, code, options);
+    
+    if (result.two_factor_required) {
+      return reply.code(202).send(result);
+    }
+    
+    return reply.send(cookieExport.present(result, cookieFormat));
+    
+  } catch (error) {
+    return sendError(reply, error, 'login');
+  }
+});
+
+// With `stream: "ndjson"` or `stream: "sse"` each account's result is
+// written as soon as it settles, followed by a summary; otherwise the
+// response waits for every account. 2FA accounts are reported as
+// TWO_FACTOR_REQUIRED; `hold_challenges: true` keeps their challenges open
+// for /session/otp instead, each holding a browser context until answered
+fastify.post('/session/batch', async (request, reply) => {
+  const { accounts, concurrency, hold_challenges, force, stream, format, debug_artifacts, debug_logging } = request.body ?? {};
+  
+  const accountsError = validateBatchAccounts(accounts);
+  if (accountsError) {
+    return badRequest(reply, accountsError);
+  }
+  
+  if (stream && !['ndjson', 'sse'].includes(stream)) {
+    return badRequest(reply, 'stream must be ndjson or sse');
+  }
+  
+  const cookieFormat = cookieExport.format(format);
+  if (cookieFormat === undefined) {
+    return badRequest(reply, 'format must be header, json, netscape or set-cookie');
+  }
+  
+  const artifactMode = artifactService.mode(debug_artifacts);
+  if (artifactMode === undefined) {
+    return badRequest(reply, 'debug_artifacts must be true, false or always');
+  }
+  
+  const options = { 
+    concurrency: batchConcurrency(concurrency), 
+    holdChallenges: hold_challenges === true,
+    force: force === true,
+    format: cookieFormat,
+    artifacts: artifactMode && { id: randomUUID(), mode: artifactMode },
+    verbose: debug_logging === true
+  };
+  
+  if (!stream) {
+    const results = await washAssistService.loginBatch(accounts, options);
+    const succeeded = results.filter(result => result.success).length;
+    return reply.send({ succeeded, failed: results.length - succeeded, results });
+  }
+  
+  const write = openEventStream(reply, stream);
+  
+  try {
+    const results = await washAssistService.loginBatch(accounts, {
+      ...options,
+      onResult: result => write('result', result)
+    });
+    const succeeded = results.filter(result => result.success).length;
+    write('done', { succeeded, failed: results.length - succeeded });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Streaming batch failed');
+    write('error', { error: toErrorPayload(error, 'login') });
+  } finally {
+    reply.raw.end();
+  }
+});
+
+fastify.post('/session/otp', async (request, reply) => {
+  try {
+    const { challenge_id, otp, format } = request.body ?? {};
+    
+    if (!challenge_id || !otp) {
+      return badRequest(reply, 'Missing required fields: challenge_id, otp');
+    }
+    
+    const cookieFormat = cookieExport.format(format);
+    if (cookieFormat === undefined) {
+      return badRequest(reply, 'format must be header, json, netscape or set-cookie');
+    }
+    
+    const result = await washAssistService.submitOtp(challenge_id, String(otp).trim());
+    return reply.send(cookieExport.present(result, cookieFormat));
+    
+  } catch (error) {
+    return sendError(reply, error, 'submit_otp');
+  }
+});
+
+fastify.post('/session/otp/resend', async (request, reply) => {
+  try {
+    const { challenge_id } = request.body ?? {};
+    
+    if (!challenge_id) {
+      return badRequest(reply, 'Missing required field: challenge_id');
     }
     
-    const result = await washAssistService.login(user, pass, code);
+    const result = await washAssistService.resendOtp(challenge_id);
     return reply.send(result);
     
   } catch (error) {
-    if (error.message.includes('2FA enabled')) {
-      return reply.code(428).send({ error: error.message });
+    return sendError(reply, error, 'submit_otp');
+  }
+});
+
+// Is a cookie jar from /session still logged in? `cookies` checks one jar;
+// `sessions` checks many at once, each given as the cookies value or as
+// { id, cookies }. No browser is involved.
+fastify.post('/session/check', async (request, reply) => {
+  try {
+    const { cookies, sessions } = request.body ?? {};
+    
+    if (sessions === undefined) {
+      if (!cookies || (Array.isArray(cookies) && cookies.length === 0)) {
+        return badRequest(reply, 'Missing required field: cookies or sessions');
+      }
+      return reply.send(await washAssistService.probeSession(cookies));
     }
     
-    if (error.message.includes('Captcha timeout')) {
-      return reply.code(428).send({ error: 'Captcha solver timed out' });
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+      return badRequest(reply, 'sessions must be a non-empty array');
     }
     
-    if (error.message.includes('Missing required cookies')) {
-      return reply.code(500).send({ error: 'Authentication cookies not received - login may have failed' });
+    if (sessions.length > batchLimits.maxAccounts) {
+      return badRequest(reply, `sessions may contain at most ${batchLimits.maxAccounts} entries`);
     }
     
-    if (error.message.includes('credentials') || error.message.includes('401')) {
-      return reply.code(400).send({ error: 'Invalid credentials' });
+    const jars = sessions.map(session => (session && !Array.isArray(session) && typeof session === 'object' ? session.cookies : session));
+    const invalid = jars.findIndex(jar => !jar || (Array.isArray(jar) && jar.length === 0));
+    if (invalid !== -1) {
+      return badRequest(reply, `sessions[${invalid}] needs cookies`);
     }
     
-    logger.error({ error: error.message }, 'Internal server error');
-    return reply.code(500).send({ error: 'Internal server error' });
+    const results = (await washAssistService.probeSessions(jars, { concurrency: batchLimits.checkConcurrency }))
+      .map(result => ({ id: sessions[result.index]?.id ?? null, ...result }));
+    const count = status => results.filter(result => result.status === status).length;
+    
+    return reply.send({ valid: count('valid'), expired: count('expired'), unknown: count('unknown'), results });
+    
+  } catch (error) {
+    return sendError(reply, error, 'check_session');
   }
 });
 
 fastify.post('/refresh', async (request, reply) => {
-  return reply.code(501).send({ 
-    error: 'Refresh endpoint not implemented - use /session endpoint' 
+  try {
+    const { cookies, format } = request.body ?? {};
+    
+    if (!cookies || (Array.isArray(cookies) && cookies.length === 0)) {
+      return badRequest(reply, 'Missing required field: cookies');
+    }
+    
+    const cookieFormat = cookieExport.format(format);
+    if (cookieFormat === undefined) {
+      return badRequest(reply, 'format must be header, json, netscape or set-cookie');
+    }
+    
+    const { user, pass, code } = await resolveCredentials(request.body);
+    const result = await washAssistService.refresh(cookies, user, pass, code);
+    
+    if (result.two_factor_required) {
+      return reply.code(202).send(result);
+    }
+    
+    return reply.send(cookieExport.present(result, cookieFormat));
+    
+  } catch (error) {
+    return sendError(reply, error, 'refresh');
+  }
+});
+
+// /reports is experimental and off unless `reports_experimental=true`: the
+// report XHR paths and field names in reportDefinitions were never captured
+// from the live portal, so its output can't be relied on yet
+if (process.env.reports_experimental === 'true') {
+  logger.warn('Experimental /reports endpoint enabled - report paths and fields are unverified against WashAssist');
+  
+  fastify.post('/reports/:report', async (request, reply) => {
+    try {
+      const { report } = request.params;
+      const { account_id, site_id, from, to, format = 'json' } = request.body ?? {};
+      
+      if (!reportDefinitions[report]) {
+        return sendError(reply, new NotFoundError(
+          `Unknown report - expected one of: ${Object.keys(reportDefinitions).join(', ')}`, 
+          { phase: 'report_fetch' }
+        ));
+      }
+      
+      if (!from || !to || (!account_id && (!request.body?.user || !request.body?.pass || !request.body?.code))) {
+        return badRequest(reply, 'Missing required fields: from, to, and account_id or user, pass, code');
+      }
+      
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+        return badRequest(reply, 'from and to must be YYYY-MM-DD dates with from <= to');
+      }
+      
+      if (!['json', 'csv'].includes(format)) {
+        return badRequest(reply, 'format must be json or csv');
+      }
+      
+      const { user, pass, code } = await resolveCredentials(request.body);
+      const result = await reportService.run(report, { user, pass, code, siteId: site_id, from, to });
+      
+      if (format === 'csv') {
+        return reply
+          .header('Content-Type', 'text/csv; charset=utf-8')
+          .header('Content-Disposition', `attachment; filename="${report}-${from}-${to}.csv"`)
+          .send(toCsv(result.rows, reportDefinitions[report].columns));
+      }
+      
+      return reply.send({ ...result, experimental: true });
+      
+    } catch (error) {
+      return sendError(reply, error, 'report_fetch');
+    }
   });
+}
+
+// WashAssist forms post urlencoded bodies; keep them as raw strings so the
+// proxy can forward them untouched
+fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (request, body, done) => {
+  done(null, body);
+});
+
+fastify.route({
+  method: ['GET', 'POST'],
+  url: '/washassist/*',
+  handler: async (request, reply) => {
+    try {
+      const account = {
+        account_id: request.headers['x-washassist-account'],
+        user: request.headers['x-washassist-user'],
+        pass: request.headers['x-washassist-pass'],
+        code: request.headers['x-washassist-code']
+      };
+      
+      if (!account.account_id && (!account.user || !account.pass || !account.code)) {
+        return badRequest(reply, 'Missing required headers: X-WashAssist-Account or X-WashAssist-User, X-WashAssist-Pass, X-WashAssist-Code');
+      }
+      
+      // Match on the raw path: the router has already percent-decoded params
+      const queryIndex = request.raw.url.indexOf('?');
+      const rawPath = (queryIndex === -1 ? request.raw.url : request.raw.url.slice(0, queryIndex)).slice('/washassist'.length);
+      const path = washAssistService.resolveProxyPath(rawPath);
+      if (!path) {
+        logger.warn({ path: rawPath, keyId: request.apiKeyId }, 'Proxy path not allowed');
+        return sendError(reply, new ForbiddenError('Path not allowed', { phase: 'proxy_request' }));
+      }
+      
+      const body = request.body === undefined || typeof request.body === 'string' 
+        ? request.body 
+        : JSON.stringify(request.body);
+      
+      const { user, pass, code } = await resolveCredentials(account);
+      const response = await washAssistService.proxyRequest(user, pass, code, {
+        method: request.method,
+        path,
+        search: queryIndex === -1 ? '' : request.raw.url.slice(queryIndex),
+        body,
+        contentType: request.headers['content-type']
+      });
+      
+      // Never leak WashAssist's own cookies or redirects to the caller
+      for (const header of ['content-type', 'content-disposition', 'cache-control']) {
+        const value = response.headers.get(header);
+        if (value) reply.header(header, value);
+      }
+      
+      return reply.code(response.status).send(Buffer.from(await response.arrayBuffer()));
+      
+    } catch (error) {
+      return sendError(reply, error, 'proxy_request');
+    }
+  }
+});
+
+fastify.get('/accounts', async (request, reply) => {
+  try {
+    const accounts = await credentialVault.list();
+    return reply.send({ count: accounts.length, accounts });
+  } catch (error) {
+    return sendError(reply, error, 'vault');
+  }
+});
+
+fastify.get('/accounts/:id', async (request, reply) => {
+  try {
+    return reply.send(credentialVault.describe(await credentialVault.get(request.params.id)));
+  } catch (error) {
+    return sendError(reply, error, 'vault');
+  }
+});
+
+fastify.post('/accounts', async (request, reply) => {
+  try {
+    const { id, label, user, pass, code } = request.body ?? {};
+    
+    if (!user || !pass || !code) {
+      return badRequest(reply, 'Missing required fields: user, pass, code');
+    }
+    
+    const account = await credentialVault.create({ id, label, user, pass, code });
+    return reply.code(201).send(account);
+  } catch (error) {
+    return sendError(reply, error, 'vault');
+  }
+});
+
+fastify.put('/accounts/:id', async (request, reply) => {
+  try {
+    const { label, user, pass, code } = request.body ?? {};
+    
+    if ([label, user, pass, code].every(value => value === undefined)) {
+      return badRequest(reply, 'Nothing to update: send label, user, pass or code');
+    }
+    
+    return reply.send(await credentialVault.update(request.params.id, { label, user, pass, code }));
+  } catch (error) {
+    return sendError(reply, error, 'vault');
+  }
+});
+
+fastify.delete('/accounts/:id', async (request, reply) => {
+  try {
+    await credentialVault.remove(request.params.id);
+    return reply.code(204).send();
+  } catch (error) {
+    return sendError(reply, error, 'vault');
+  }
+});
+
+fastify.post('/accounts/rotate-key', async (request, reply) => {
+  try {
+    return reply.send(await credentialVault.rotate());
+  } catch (error) {
+    return sendError(reply, error, 'vault');
+  }
+});
+
+// Gauges that mirror in-memory state are sampled at scrape time
+new client.Gauge({
+  name: 'washassist_job_queue_depth',
+  help: 'Async jobs by state in the job queue',
+  labelNames: ['state'],
+  registers: [metricsRegistry],
+  collect() {
+    this.set({ state: 'queued' }, jobQueue.waiting.length);
+    this.set({ state: 'running' }, jobQueue.active);
+  }
+});
+
+new client.Gauge({
+  name: 'washassist_browser_pool',
+  help: 'Browser pool usage',
+  labelNames: ['resource'],
+  registers: [metricsRegistry],
+  collect() {
+    const stats = browserPool.stats();
+    this.set({ resource: 'browsers' }, stats.browsers);
+    this.set({ resource: 'active_contexts' }, stats.activeContexts);
+    this.set({ resource: 'queued' }, stats.queued);
+  }
+});
+
+fastify.get('/metrics', async (request, reply) => {
+  return reply
+    .header('Content-Type', metricsRegistry.contentType)
+    .send(await metricsRegistry.metrics());
 });
 
 fastify.get('/health', async (request, reply) => {
-  return { status: 'ok', timestamp: new Date().toISOString() };
+  return { 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    browserPool: browserPool.stats(),
+    proxyPool: proxyPool.stats()
+  };
+});
+
+fastify.get('/ready', async (request, reply) => {
+  const result = await readinessService.check();
+  return reply.code(result.ready ? 200 : 503).send({
+    status: result.ready ? 'ready' : 'not_ready',
+    ...result
+  });
 });
 
 const start = async () => {
@@ -668,8 +1397,24 @@ const start = async () => {
     const port = process.env.PORT || 3000;
     const host = process.env.HOST || '0.0.0.0';
     
+    // Fail fast on a malformed key, proxy, site or launcher config rather than on the first request
+    apiKeyService.load();
+    proxyPool.load();
+    siteProfile.load();
+    browserService.current();
     await fastify.listen({ port, host });
+    sessionStore.startRenewal();
+    await jobQueue.ready();
     logger.info({ port, host }, 'Server listening');
+    
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, async () => {
+        logger.info({ signal }, 'Shutting down');
+        await fastify.close();
+        await browserPool.close();
+        process.exit(0);
+      });
+    }
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
@@ -0,0 +1,69 @@
+// Browser launchers, one per runtime the core runs on. A launcher is
+// { name, launch(options) } and resolves to a puppeteer Browser; `options`
+// carries the shared `headless` flag and Chromium `args`. Drivers are
+// imported lazily so a deployment only needs the packages its launcher uses.
+
+const importDefault = async (specifier) => {
+  const module = await import(specifier);
+  return module.default ?? module;
+};
+
+// puppeteer-core is all a system or serverless Chromium needs; the full
+// puppeteer package works too when that is what's installed
+const loadCoreDriver = async () => {
+  try {
+    return await importDefault('puppeteer-core');
+  } catch {
+    return importDefault('puppeteer');
+  }
+};
+
+// The Chromium build puppeteer downloaded on install (or
+// PUPPETEER_EXECUTABLE_PATH)
+const createPuppeteerLauncher = ({ puppeteer } = {}) => ({
+  name: 'puppeteer',
+
+  async launch(options) {
+    const driver = puppeteer || await importDefault('puppeteer');
+    return driver.launch(options);
+  }
+});
+
+// A distribution Chromium, e.g. the one the Docker image installs with apk
+const createSystemLauncher = ({ puppeteer, executablePath } = {}) => ({
+  name: 'system',
+
+  async launch(options) {
+    const driver = puppeteer || await loadCoreDriver();
+    return driver.launch({
+      ...options,
+      executablePath: executablePath || process.env.chromium_path || '/usr/bin/chromium-browser'
+    });
+  }
+});
+
+// @sparticuz/chromium's Lambda-sized build, for Vercel/AWS functions. The
+// handler can pass in the modules it bundled instead of having them imported.
+const createServerlessLauncher = ({ puppeteer, chromium } = {}) => ({
+  name: 'serverless',
+
+  async launch(options) {
+    const driver = puppeteer || await loadCoreDriver();
+    const build = chromium || await importDefault('@sparticuz/chromium');
+    return driver.launch({
+      ...options,
+      args: [...new Set([...build.args, ...options.args])],
+      defaultViewport: build.defaultViewport,
+      executablePath: await build.executablePath(),
+      headless: build.headless
+    });
+  }
+});
+
+const browserLaunchers = {
+  puppeteer: createPuppeteerLauncher,
+  system: createSystemLauncher,
+  serverless: createServerlessLauncher
+};
+
+export { browserLaunchers, createPuppeteerLauncher, createServerlessLauncher, createSystemLauncher };
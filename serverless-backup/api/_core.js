@@ -0,0 +1,43 @@
+import chromium from '@sparticuz/chromium';
+import puppeteer from 'puppeteer-core';
+import { browserService, otpChallengeStore, toErrorResponse, TwoFactorRequiredError, UnauthorizedError } from 'washassist/core';
+import { createServerlessLauncher } from 'washassist/launchers';
+
+// The handlers here run the main service's login, captcha and webhook code;
+// only the browser comes from the Lambda-sized Chromium build.
+//
+// Deploying: the Vercel project's Root Directory is `serverless-backup`, and
+// since `washassist` is the repository root (`file:..`), the project must keep
+// "Include files outside the Root Directory in the Build Step" enabled.
+// A login can take 90s or more between the captcha and the post-login
+// waits, so vercel.json gives the login functions 300s; plans that cap
+// functions lower will cut slow logins off.
+browserService.use(createServerlessLauncher({ puppeteer, chromium }));
+
+// A function invocation can't keep a browser parked at the 2FA prompt until
+// an OTP arrives, so the challenge is closed and the login refused
+export const closeChallenge = async (result) => {
+  if (!result.two_factor_required) return result;
+
+  await otpChallengeStore.close(result.challenge_id);
+  throw new TwoFactorRequiredError('Two-factor authentication required - submit the OTP through the main service', { phase: 'check_2fa' });
+};
+
+// The `{ error: { code, message, retryable, phase } }` response every
+// failure gets, as on the main service
+export const sendError = (res, error, phase = null) => {
+  const { status, body } = toErrorResponse(error, phase);
+  return res.status(status).json(body);
+};
+
+// These functions have no API key authentication, so vault accounts can't
+// be used by id here: that would hand out sessions without any secret.
+// Shadows the core export of the same name.
+export const resolveCredentials = async ({ account_id, user, pass, code }) => {
+  if (account_id) {
+    throw new UnauthorizedError('account_id needs the main service, which authenticates callers - send user, pass and code instead', { phase: 'validate_request' });
+  }
+  return { user, pass, code };
+};
+
+export * from 'washassist/core';
@@ -1,10 +1,15 @@
+import { MethodNotAllowedError, toErrorResponse } from 'washassist/core';
+
+// Liveness only: the function answers. ready.js probes the browser,
+// captcha provider and WashAssist.
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    const { status, body } = toErrorResponse(new MethodNotAllowedError('Method not allowed', { phase: 'validate_request' }));
+    return res.status(status).json(body);
   }
 
   return res.status(200).json({ 
     status: 'ok', 
     timestamp: new Date().toISOString() 
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,19 @@
+import { MethodNotAllowedError, readinessService, sendError } from './_core.js';
+
+// Readiness, as /ready on the main service: launches Chromium, checks the
+// captcha balance and reaches WashAssist. health.js only says the function
+// runs. A function's disk is per-instance scratch space, so a storage probe
+// would say nothing about durability and is left out.
+readinessService.checks = ['browser', 'captcha', 'washassist'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return sendError(res, new MethodNotAllowedError('Method not allowed', { phase: 'validate_request' }));
+  }
+
+  const result = await readinessService.check();
+  return res.status(result.ready ? 200 : 503).json({
+    status: result.ready ? 'ready' : 'not_ready',
+    ...result
+  });
+}
@@ -0,0 +1,54 @@
+import { waitUntil } from '@vercel/functions';
+import { cookieExport, logger, MethodNotAllowedError, otpChallengeStore, resolveCredentials, sendError, ValidationError, washAssistService } from './_core.js';
+
+// Same contract as the main service's /session-async, minus the durable job
+// queue: the login runs after the 202 for as long as the function may live
+// (maxDuration) and its result is delivered to the signed webhook
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return sendError(res, new MethodNotAllowedError('Method not allowed', { phase: 'validate_request' }));
+  }
+
+  try {
+    const { request_id, webhook_url, webhook_insecure, progress_webhook_url, account_id, user, pass, code, force, format, debug_logging } = req.body || {};
+
+    if (!request_id || !webhook_url || (!account_id && (!user || !pass || !code))) {
+      return sendError(res, new ValidationError('Missing required fields: request_id, webhook_url, and account_id or user, pass, code', { phase: 'validate_request' }));
+    }
+
+    try {
+      new URL(webhook_url);
+      if (progress_webhook_url) new URL(progress_webhook_url);
+    } catch {
+      return sendError(res, new ValidationError('Invalid webhook_url or progress_webhook_url format', { phase: 'validate_request' }));
+    }
+
+    const cookieFormat = cookieExport.format(format);
+    if (cookieFormat === undefined) {
+      return sendError(res, new ValidationError('format must be header, json, netscape or set-cookie', { phase: 'validate_request' }));
+    }
+
+    const credentials = await resolveCredentials(req.body);
+    waitUntil(
+      washAssistService.processAuthAsync(request_id, webhook_url, credentials.user, credentials.pass, credentials.code, {
+        force: force === true,
+        verbose: debug_logging === true,
+        webhookInsecure: webhook_insecure === true,
+        progressWebhookUrl: progress_webhook_url,
+        format: cookieFormat
+      })
+        // The 2FA webhook has gone out; nothing can answer the challenge here
+        .then(payload => payload.challenge_id && otpChallengeStore.close(payload.challenge_id))
+        .catch(error => logger.error({ requestId: request_id, error: error.message }, 'Async authentication crashed'))
+    );
+
+    return res.status(202).json({
+      success: true,
+      message: 'Authentication request queued',
+      request_id
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'async_start');
+  }
+}
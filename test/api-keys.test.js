@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { startService } from './harness/service.js';
+
+const key = 'api-key-for-tests';
+const keySha256 = createHash('sha256').update(key).digest('hex');
+
+test('a keySha256 that is not a SHA-256 hex digest stops the service at startup', { timeout: 30000 }, async () => {
+  await assert.rejects(
+    startService({ api_keys: JSON.stringify([{ id: 'dashboard', keySha256: keySha256.slice(0, 40) }]) }),
+    /API key dashboard has a keySha256 that is not 64 hex characters/
+  );
+});
+
+test('a configured vault without API keys stops the service at startup', { timeout: 30000 }, async () => {
+  await assert.rejects(
+    startService({ vault_master_key: 'vault-master-key-for-tests', api_keys: '' }),
+    /vault_master_key is set but no API keys are configured/
+  );
+});
+
+test('debug artifacts are never served without API keys', { timeout: 30000 }, async () => {
+  const service = await startService({ api_keys: '' });
+
+  try {
+    for (const path of ['/artifacts', '/artifacts/some-bundle', '/artifacts/some-bundle/page.html']) {
+      const response = await fetch(`${service.url}${path}`);
+      assert.equal(response.status, 401, path);
+      assert.equal((await response.json()).error.code, 'UNAUTHORIZED');
+    }
+  } finally {
+    await service.stop();
+  }
+});
+
+test('a keySha256 key authenticates requests, within its rate limit', { timeout: 30000 }, async () => {
+  const service = await startService({
+    api_keys: JSON.stringify([{ id: 'dashboard', keySha256, routes: ['/session/*'], rateLimit: { max: 2, windowSeconds: 60 } }])
+  });
+
+  try {
+    const call = async (path, headers) => {
+      const response = await fetch(`${service.url}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: '{}'
+      });
+      return { status: response.status, retryAfter: response.headers.get('retry-after'), error: (await response.json()).error };
+    };
+
+    const missing = await call('/session/check', {});
+    assert.equal(missing.status, 401);
+    assert.deepEqual(missing.error, { code: 'UNAUTHORIZED', message: 'Invalid or missing API key', retryable: false, phase: 'authenticate' });
+    assert.equal((await call('/session/check', { 'x-api-key': 'some-other-key' })).error.code, 'UNAUTHORIZED');
+
+    const outOfScope = await call('/refresh', { 'x-api-key': key });
+    assert.equal(outOfScope.status, 403);
+    assert.equal(outOfScope.error.code, 'FORBIDDEN');
+
+    // Past authentication, the empty body fails validation
+    const invalid = await call('/session/check', { 'x-api-key': key });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.error.code, 'VALIDATION_ERROR');
+    assert.equal(invalid.error.phase, 'validate_request');
+
+    await call('/session/check', { 'x-api-key': key });
+    const limited = await call('/session/check', { 'x-api-key': key });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.error.code, 'RATE_LIMITED');
+    assert.equal(limited.error.retryable, true);
+    assert.ok(Number(limited.retryAfter) > 0);
+  } finally {
+    await service.stop();
+  }
+});
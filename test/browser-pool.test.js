@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+// A launcher whose browsers only track the contexts handed out, so the pool
+// can be exercised without Chromium
+const createStubLauncher = () => {
+  const browsers = [];
+
+  return {
+    name: 'stub',
+    browsers,
+
+    async launch() {
+      const browser = new EventEmitter();
+      browser.connected = true;
+      browser.contexts = [];
+      browser.createBrowserContext = async () => {
+        const context = { closed: false, close: async () => { context.closed = true; } };
+        browser.contexts.push(context);
+        return context;
+      };
+      browser.close = async () => {
+        browser.connected = false;
+        browser.emit('disconnected');
+      };
+      browsers.push(browser);
+      return browser;
+    }
+  };
+};
+
+const usePool = async (options) => {
+  const { browserPool, browserService } = await import('../lib/core.js');
+  const launcher = browserService.use(createStubLauncher());
+
+  await browserPool.close();
+  Object.assign(browserPool, {
+    maxBrowsers: 1,
+    maxContexts: 1,
+    maxUses: 50,
+    acquireTimeoutMs: 5000,
+    waiters: [],
+    counters: { launches: 0, recycled: 0, crashed: 0 },
+    ...options
+  });
+  return { browserPool, launcher };
+};
+
+test('a released context goes back to the pool for the next checkout', async () => {
+  const { browserPool, launcher } = await usePool({ maxContexts: 2 });
+
+  try {
+    const first = await browserPool.acquire({ proxied: false });
+    const second = await browserPool.acquire({ proxied: false });
+    assert.equal(launcher.browsers.length, 1);
+    assert.equal(browserPool.stats().activeContexts, 2);
+
+    await first.release();
+    await first.release();
+    assert.equal(first.context.closed, true);
+    assert.equal(second.context.closed, false);
+    assert.equal(browserPool.stats().activeContexts, 1);
+
+    const third = await browserPool.acquire({ proxied: false });
+    assert.equal(launcher.browsers.length, 1);
+    assert.equal(launcher.browsers[0].contexts.length, 3);
+
+    await Promise.all([second.release(), third.release()]);
+    assert.equal(browserPool.stats().activeContexts, 0);
+    assert.equal(browserPool.stats().launches, 1);
+  } finally {
+    await browserPool.close();
+  }
+});
+
+test('a full pool queues checkouts until a context is released or the wait times out', async () => {
+  const { browserPool, launcher } = await usePool({ acquireTimeoutMs: 200 });
+
+  try {
+    const holder = await browserPool.acquire({ proxied: false });
+    const waiting = browserPool.acquire({ proxied: false });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(browserPool.stats().queued, 1);
+
+    await holder.release();
+    const next = await waiting;
+    assert.equal(browserPool.stats().queued, 0);
+    assert.equal(launcher.browsers.length, 1);
+
+    await assert.rejects(browserPool.acquire({ proxied: false }), { code: 'BROWSER_POOL_EXHAUSTED' });
+    assert.equal(browserPool.stats().queued, 0);
+
+    await next.release();
+  } finally {
+    await browserPool.close();
+  }
+});
+
+test('a browser is recycled after browser_max_uses contexts', async () => {
+  const { browserPool, launcher } = await usePool({ maxUses: 2 });
+
+  try {
+    for (let i = 0; i < 2; i++) {
+      const lease = await browserPool.acquire({ proxied: false });
+      await lease.release();
+    }
+    assert.equal(launcher.browsers[0].connected, false);
+    const { browsers, recycled, crashed } = browserPool.stats();
+    assert.deepEqual({ browsers, recycled, crashed }, { browsers: 0, recycled: 1, crashed: 0 });
+
+    const lease = await browserPool.acquire({ proxied: false });
+    assert.equal(launcher.browsers.length, 2);
+    assert.equal(launcher.browsers[1].contexts.length, 1);
+    await lease.release();
+  } finally {
+    await browserPool.close();
+  }
+});
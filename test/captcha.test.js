@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeAntiCaptcha } from './harness/fake-anticaptcha.js';
+import { CAPTCHA_TOKEN_PREFIX } from './harness/fake-washassist.js';
+
+const websiteURL = 'https://washassist.test/Account/Login';
+
+// anticaptcha first, twocaptcha as the fallback, both pointed at fakes
+const useProviders = async ({ primary, secondary }) => {
+  Object.assign(process.env, {
+    captcha_providers: 'anticaptcha,twocaptcha',
+    anti_key: 'primary-key',
+    twocaptcha_key: 'secondary-key',
+    anticaptcha_base_url: primary.url,
+    twocaptcha_base_url: secondary.url,
+    captcha_poll_interval_ms: '20',
+    captcha_timeout_ms: '500'
+  });
+  return import('../lib/core.js');
+};
+
+test('a failing primary captcha provider falls back to the secondary', { timeout: 30000 }, async () => {
+  const primary = await startFakeAntiCaptcha({ apiKey: 'some-other-key' });
+  const secondary = await startFakeAntiCaptcha({ apiKey: 'secondary-key' });
+
+  try {
+    const { captchaService } = await useProviders({ primary, secondary });
+    const token = await captchaService.solve('site-key', { websiteURL });
+
+    assert.equal(token, `${CAPTCHA_TOKEN_PREFIX}1`);
+    assert.equal(primary.tasks().length, 0);
+    assert.deepEqual(secondary.tasks().map(task => [task.type, task.websiteKey]), [['RecaptchaV2TaskProxyless', 'site-key']]);
+  } finally {
+    await Promise.all([primary.close(), secondary.close()]);
+  }
+});
+
+test('a timed-out primary captcha provider falls back to the secondary', { timeout: 30000 }, async () => {
+  const primary = await startFakeAntiCaptcha({ apiKey: 'primary-key', pollsUntilReady: 1000 });
+  const secondary = await startFakeAntiCaptcha({ apiKey: 'secondary-key' });
+
+  try {
+    const { captchaService } = await useProviders({ primary, secondary });
+    const token = await captchaService.solve('site-key', { websiteURL });
+
+    assert.equal(token, `${CAPTCHA_TOKEN_PREFIX}1`);
+    assert.equal(primary.tasks().length, 1);
+    assert.ok(primary.tasks()[0].polls > 1);
+    assert.equal(secondary.tasks().length, 1);
+  } finally {
+    await Promise.all([primary.close(), secondary.close()]);
+  }
+});
+
+test('every provider failure is reported when all of them fail', { timeout: 30000 }, async () => {
+  const primary = await startFakeAntiCaptcha({ apiKey: 'some-other-key' });
+  const secondary = await startFakeAntiCaptcha({ apiKey: 'some-other-key' });
+
+  try {
+    const { captchaService } = await useProviders({ primary, secondary });
+
+    await assert.rejects(captchaService.solve('site-key', { websiteURL }), error => {
+      assert.equal(error.code, 'CAPTCHA_PROVIDER_ERROR');
+      assert.match(error.message, /anticaptcha: .*twocaptcha: /);
+      return true;
+    });
+  } finally {
+    await Promise.all([primary.close(), secondary.close()]);
+  }
+});
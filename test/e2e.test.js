@@ -0,0 +1,468 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import {
+  BROKEN_AUTH_TOKEN,
+  FAKE_OTP,
+  FAKE_SITE_NAME,
+  FAKE_SITEKEY,
+  SSO_COOKIE_MAX_AGE,
+  fakeAccounts,
+  startFakeWashAssist
+} from './harness/fake-washassist.js';
+import { startFakeAntiCaptcha } from './harness/fake-anticaptcha.js';
+import { scrapeMetrics } from './harness/metrics.js';
+import { startWebhookReceiver } from './harness/webhook-receiver.js';
+import { browserAvailable, startService } from './harness/service.js';
+
+const WEBHOOK_SECRET = 'whsec-e2e';
+const CAPTCHA_KEY = 'anticaptcha-e2e-key';
+const REQUIRED_COOKIES = ['ASP.NET_SessionId', '.micrologicAUTH', 'r_ssoCookie'];
+
+const cookieNames = cookieJar => cookieJar.split(';').map(pair => pair.trim().split('=')[0]).filter(Boolean);
+const authCookie = cookieJar => cookieJar.match(/\.micrologicAUTH=([^;]+)/)[1];
+const withAuthCookie = (cookieJar, value) => cookieJar.replace(/(\.micrologicAUTH=)[^;]+/, `$1${value}`);
+
+describe('logins against the fake WashAssist site', {
+  skip: !browserAvailable && 'no Chromium available - set PUPPETEER_EXECUTABLE_PATH to run the end-to-end suite'
+}, () => {
+  let site;
+  let captcha;
+  let receiver;
+  let service;
+
+  before(async () => {
+    site = await startFakeWashAssist({ slowMs: 3000 });
+    captcha = await startFakeAntiCaptcha({ apiKey: CAPTCHA_KEY });
+    receiver = await startWebhookReceiver({ secret: WEBHOOK_SECRET });
+    service = await startService({
+      site_profile: JSON.stringify({
+        baseUrl: site.url,
+        cookieUrls: [site.url],
+        probe: {
+          userPattern: '<span class="user-name">([^<]+)</span>',
+          sitePattern: '<div class="site-name">([^<]+)</div>'
+        }
+      }),
+      captcha_providers: 'anticaptcha',
+      anti_key: CAPTCHA_KEY,
+      anticaptcha_base_url: captcha.url,
+      captcha_poll_interval_ms: '100',
+      webhook_secret: WEBHOOK_SECRET,
+      webhook_max_attempts: '3',
+      webhook_retry_base_ms: '100',
+      browser_pool_size: '1',
+      browser_pool_contexts: '2',
+      reports_experimental: 'true'
+    });
+  });
+
+  after(async () => {
+    await service?.stop();
+    await Promise.all([site?.close(), captcha?.close(), receiver?.close()]);
+  });
+
+  test('/ready is ready once the browser, captcha provider, site and storage all answer', { timeout: 60000 }, async () => {
+    const { status, body } = await service.request('GET', '/ready');
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.status, 'ready');
+    for (const name of ['browser', 'captcha', 'washassist', 'storage']) {
+      assert.equal(body.checks[name].ok, true, `${name}: ${JSON.stringify(body.checks[name])}`);
+    }
+    assert.equal(body.checks.washassist.status, 200);
+  });
+
+  test('POST /session logs in and returns the required cookies', { timeout: 60000 }, async () => {
+    const { status, body } = await service.request('POST', '/session', { ...fakeAccounts.valid, force: true });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(cookieNames(body.cookies[0]).sort(), [...REQUIRED_COOKIES].sort());
+
+    // r_ssoCookie runs out before the 25 minute session lifetime
+    const secondsLeft = (Date.parse(body.expires) - Date.now()) / 1000;
+    assert.ok(secondsLeft > SSO_COOKIE_MAX_AGE - 60 && secondsLeft <= SSO_COOKIE_MAX_AGE, `unexpected expiry ${body.expires}`);
+
+    const task = captcha.tasks().at(-1);
+    assert.equal(task.websiteKey, FAKE_SITEKEY);
+    assert.equal(task.websiteURL, `${site.url}/Home/Login`);
+    assert.equal(site.logins.at(-1).timezoneOffset, '-360');
+  });
+
+  test('a repeat /session is served from the session cache', { timeout: 60000 }, async () => {
+    const tasksBefore = captcha.tasks().length;
+    const { status, body } = await service.request('POST', '/session', fakeAccounts.valid);
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(cookieNames(body.cookies[0]).sort(), [...REQUIRED_COOKIES].sort());
+    assert.equal(captcha.tasks().length, tasksBefore);
+  });
+
+  test('/metrics counts logins, captcha solves and session cache hits', { timeout: 60000 }, async () => {
+    const baseline = await scrapeMetrics(service.url);
+
+    const login = await service.request('POST', '/session', { ...fakeAccounts.valid, force: true });
+    assert.equal(login.status, 200, JSON.stringify(login.body));
+    const cached = await service.request('POST', '/session', fakeAccounts.valid);
+    assert.equal(cached.status, 200, JSON.stringify(cached.body));
+
+    const current = await scrapeMetrics(service.url);
+    const delta = (name, labels) => current.value(name, labels) - baseline.value(name, labels);
+
+    assert.equal(delta('washassist_login_outcomes_total', { code: 'OK' }), 1);
+    assert.equal(delta('washassist_login_duration_seconds_count', { outcome: 'success' }), 1);
+    assert.equal(delta('washassist_captcha_solve_duration_seconds_count', { provider: 'anticaptcha', outcome: 'success' }), 1);
+    assert.equal(delta('washassist_session_cache_total', { result: 'hit' }), 1);
+    assert.ok(current.value('washassist_browser_launches_total', { result: 'success' }) >= 1);
+    assert.equal(current.value('washassist_logins_in_flight'), 0);
+
+    // Each series carries exactly its declared labels (plus `le` on buckets)
+    const labelSets = {
+      washassist_login_outcomes_total: ['code'],
+      washassist_login_duration_seconds_bucket: ['le', 'outcome'],
+      washassist_captcha_solve_duration_seconds_bucket: ['le', 'outcome', 'provider'],
+      washassist_session_cache_total: ['result'],
+      washassist_browser_launches_total: ['result']
+    };
+    for (const [name, labels] of Object.entries(labelSets)) {
+      const series = current.samples.filter(sample => sample.name === name);
+      assert.ok(series.length > 0, name);
+      for (const sample of series) {
+        assert.deepEqual(Object.keys(sample.labels).sort(), labels, name);
+      }
+    }
+  });
+
+  test('format returns the cookies as objects, cookies.txt or Set-Cookie lines', { timeout: 60000 }, async () => {
+    const json = await service.request('POST', '/session', { ...fakeAccounts.valid, format: 'json' });
+    assert.equal(json.status, 200, JSON.stringify(json.body));
+    assert.equal(json.body.format, 'json');
+    const byName = Object.fromEntries(json.body.cookies.map(cookie => [cookie.name, cookie]));
+    assert.deepEqual(Object.keys(byName).sort(), [...REQUIRED_COOKIES].sort());
+    assert.equal(byName['.micrologicAUTH'].httpOnly, true);
+    assert.equal(byName['.micrologicAUTH'].session, true);
+    assert.equal(byName['.micrologicAUTH'].domain, '127.0.0.1');
+    assert.equal(byName.r_ssoCookie.httpOnly, false);
+    assert.ok(byName.r_ssoCookie.expires * 1000 > Date.now());
+
+    const netscape = await service.request('POST', '/session', { ...fakeAccounts.valid, format: 'netscape' });
+    const lines = netscape.body.cookies.split('\n').filter(line => line && !line.startsWith('# '));
+    assert.match(netscape.body.cookies, /^# Netscape HTTP Cookie File\n/);
+    assert.equal(lines.length, REQUIRED_COOKIES.length);
+    assert.ok(lines.includes(`#HttpOnly_127.0.0.1\tFALSE\t/\tFALSE\t0\t.micrologicAUTH\t${byName['.micrologicAUTH'].value}`));
+
+    const setCookie = await service.request('POST', '/session', { ...fakeAccounts.valid, format: 'set-cookie' });
+    assert.ok(setCookie.body.cookies.includes(`.micrologicAUTH=${byName['.micrologicAUTH'].value}; Path=/; HttpOnly`));
+    assert.match(setCookie.body.cookies.find(line => line.startsWith('r_ssoCookie=')), /; Path=\/; Expires=\w{3}, \d{2} \w{3} \d{4} /);
+
+    const invalid = await service.request('POST', '/session', { ...fakeAccounts.valid, format: 'xml' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, 'VALIDATION_ERROR');
+  });
+
+  test('/session/check tells live, logged-out and unreadable jars apart', { timeout: 60000 }, async () => {
+    const session = await service.request('POST', '/session', fakeAccounts.valid);
+    const [jar] = session.body.cookies;
+
+    const single = await service.request('POST', '/session/check', { cookies: session.body.cookies });
+    assert.equal(single.status, 200, JSON.stringify(single.body));
+    assert.equal(single.body.status, 'valid');
+    assert.equal(single.body.user, fakeAccounts.valid.user);
+    assert.equal(single.body.site, FAKE_SITE_NAME);
+    assert.ok(single.body.expires_in_seconds > 0 && single.body.expires_in_seconds <= SSO_COOKIE_MAX_AGE);
+
+    const bulk = await service.request('POST', '/session/check', {
+      sessions: [
+        { id: 'live', cookies: jar },
+        { id: 'logged-out', cookies: withAuthCookie(jar, 'not-a-session') },
+        withAuthCookie(jar, BROKEN_AUTH_TOKEN)
+      ]
+    });
+    assert.equal(bulk.status, 200, JSON.stringify(bulk.body));
+    assert.deepEqual([bulk.body.valid, bulk.body.expired, bulk.body.unknown], [1, 1, 1]);
+    assert.deepEqual(bulk.body.results.map(result => [result.id, result.status]), [
+      ['live', 'valid'],
+      ['logged-out', 'expired'],
+      [null, 'unknown']
+    ]);
+
+    // Once WashAssist drops the session, /session stops serving it from the cache
+    site.logout(authCookie(jar));
+    const expired = await service.request('POST', '/session/check', { cookies: jar });
+    assert.equal(expired.body.status, 'expired');
+    const fresh = await service.request('POST', '/session', fakeAccounts.valid);
+    assert.notEqual(authCookie(fresh.body.cookies[0]), authCookie(jar));
+
+    const missing = await service.request('POST', '/session/check', { sessions: [] });
+    assert.equal(missing.status, 400);
+  });
+
+  test('/refresh keeps a live jar and reports a WashAssist error page as retryable', { timeout: 60000 }, async () => {
+    const session = await service.request('POST', '/session', fakeAccounts.valid);
+    const [jar] = session.body.cookies;
+    const loginsBefore = site.logins.length;
+
+    const refreshed = await service.request('POST', '/refresh', { cookies: jar, ...fakeAccounts.valid });
+    assert.equal(refreshed.status, 200, JSON.stringify(refreshed.body));
+    assert.equal(refreshed.body.relogin, false);
+    assert.equal(refreshed.body.cookies[0], jar);
+
+    // The kept-alive jar keeps its harvested attributes, and its expiry
+    // follows the SSO cookie the check re-issued
+    const asJson = await service.request('POST', '/refresh', { cookies: jar, format: 'json', ...fakeAccounts.valid });
+    assert.equal(asJson.status, 200, JSON.stringify(asJson.body));
+    const byName = Object.fromEntries(asJson.body.cookies.map(cookie => [cookie.name, cookie]));
+    assert.equal(byName['.micrologicAUTH'].httpOnly, true);
+    assert.equal(byName.r_ssoCookie.session, false);
+    assert.ok(Date.parse(asJson.body.expires) <= Date.now() + SSO_COOKIE_MAX_AGE * 1000, asJson.body.expires);
+    assert.ok(Date.parse(asJson.body.expires) > Date.now() + (SSO_COOKIE_MAX_AGE - 60) * 1000, asJson.body.expires);
+
+    // A 500 from WashAssist is no proof the session is gone: no login fallback
+    const broken = await service.request('POST', '/refresh', { cookies: withAuthCookie(jar, BROKEN_AUTH_TOKEN), ...fakeAccounts.valid });
+    assert.equal(broken.status, 502, JSON.stringify(broken.body));
+    assert.equal(broken.body.error.code, 'SITE_UNAVAILABLE');
+    assert.equal(broken.body.error.retryable, true);
+    assert.equal(site.logins.length, loginsBefore);
+  });
+
+  test('a wrong password is reported as INVALID_CREDENTIALS', { timeout: 60000 }, async () => {
+    const { status, body } = await service.request('POST', '/session', {
+      ...fakeAccounts.valid,
+      pass: 'wrong-password',
+      force: true
+    });
+
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.equal(body.error.code, 'INVALID_CREDENTIALS');
+  });
+
+  test('a wrong customer code alone is reported as INVALID_CUSTOMER_CODE', { timeout: 60000 }, async () => {
+    const { status, body } = await service.request('POST', '/session', {
+      ...fakeAccounts.valid,
+      code: 'WASH2',
+      force: true
+    });
+
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.equal(body.error.code, 'INVALID_CUSTOMER_CODE');
+  });
+
+  test('/reports/:report calls the report XHR with the session and normalizes its rows', { timeout: 60000 }, async () => {
+    const requestsBefore = site.reportRequests.length;
+    const { status, body } = await service.request('POST', '/reports/sales', {
+      ...fakeAccounts.valid,
+      site_id: '1',
+      from: '2026-10-01',
+      to: '2026-10-02'
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.experimental, true);
+    assert.deepEqual(body.rows, [
+      { date: '2026-10-01', site_id: 1, site_name: FAKE_SITE_NAME, gross_sales: 1234.5, net_sales: 1100.25, transactions: 42 },
+      { date: '2026-10-02', site_id: 1, site_name: FAKE_SITE_NAME, gross_sales: 987, net_sales: 900, transactions: 35 }
+    ]);
+
+    const [request] = site.reportRequests.slice(requestsBefore);
+    assert.deepEqual(request.query, { startDate: '2026-10-01', endDate: '2026-10-02', siteId: '1' });
+    assert.deepEqual(request.cookies.sort(), [...REQUIRED_COOKIES].sort());
+
+    const memberships = await service.request('POST', '/reports/memberships', { ...fakeAccounts.valid, from: '2026-10-01', to: '2026-10-31' });
+    assert.equal(memberships.status, 200, JSON.stringify(memberships.body));
+    assert.deepEqual(memberships.body.rows, [
+      { as_of: '2026-10-02', site_id: 1, site_name: FAKE_SITE_NAME, plan: 'Unlimited Gold', active_count: 250 }
+    ]);
+  });
+
+  test('/reports/:report renders the rows as CSV', { timeout: 60000 }, async () => {
+    const response = await fetch(`${service.url}/reports/wash-counts`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ ...fakeAccounts.valid, from: '2026-10-01', to: '2026-10-01', format: 'csv' })
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="wash-counts-2026-10-01-2026-10-01.csv"');
+    assert.equal(await response.text(), [
+      'date,site_id,site_name,package,count',
+      `2026-10-01,1,${FAKE_SITE_NAME},"Ultimate, with wax",12`,
+      `2026-10-01,1,${FAKE_SITE_NAME},Basic,30`,
+      ''
+    ].join('\n'));
+  });
+
+  test('two-factor logins park a challenge that the OTP completes', { timeout: 90000 }, async () => {
+    const started = await service.request('POST', '/session', { ...fakeAccounts.twoFactor, force: true });
+    assert.equal(started.status, 202, JSON.stringify(started.body));
+    assert.equal(started.body.two_factor_required, true);
+
+    const rejected = await service.request('POST', '/session/otp', {
+      challenge_id: started.body.challenge_id,
+      otp: '000000'
+    });
+    assert.equal(rejected.status, 400, JSON.stringify(rejected.body));
+    assert.equal(rejected.body.error.code, 'OTP_REJECTED');
+
+    const accepted = await service.request('POST', '/session/otp', {
+      challenge_id: started.body.challenge_id,
+      otp: FAKE_OTP
+    });
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+    assert.deepEqual(cookieNames(accepted.body.cookies[0]).sort(), [...REQUIRED_COOKIES].sort());
+  });
+
+  test('a 2FA account in a batch gives its browser context back unless challenges are held', { timeout: 120000 }, async () => {
+    const accounts = [
+      { id: 'first', ...fakeAccounts.valid, force: true },
+      { id: 'twofa', ...fakeAccounts.twoFactor, force: true },
+      { id: 'second', ...fakeAccounts.slow, force: true }
+    ];
+
+    const batch = await service.request('POST', '/session/batch', { accounts, concurrency: 2 });
+    assert.equal(batch.status, 200, JSON.stringify(batch.body));
+    const [first, twofa, second] = batch.body.results;
+    assert.equal(first.success, true, JSON.stringify(first));
+    assert.equal(second.success, true, JSON.stringify(second));
+    assert.equal(twofa.error.code, 'TWO_FACTOR_REQUIRED');
+    assert.equal(twofa.challenge_id, undefined);
+
+    const health = await service.request('GET', '/health');
+    assert.equal(health.body.browserPool.activeContexts, 0);
+
+    // Held, the challenge stays answerable and keeps its context until then
+    const held = await service.request('POST', '/session/batch', { accounts: [accounts[1]], hold_challenges: true });
+    const [challenged] = held.body.results;
+    assert.equal(challenged.two_factor_required, true, JSON.stringify(challenged));
+    assert.equal((await service.request('GET', '/health')).body.browserPool.activeContexts, 1);
+
+    const completed = await service.request('POST', '/session/otp', { challenge_id: challenged.challenge_id, otp: FAKE_OTP });
+    assert.equal(completed.status, 200, JSON.stringify(completed.body));
+    assert.equal((await service.request('GET', '/health')).body.browserPool.activeContexts, 0);
+  });
+
+  test('a slow login POST still completes', { timeout: 60000 }, async () => {
+    const { status, body } = await service.request('POST', '/session', { ...fakeAccounts.slow, force: true });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(cookieNames(body.cookies[0]).sort(), [...REQUIRED_COOKIES].sort());
+  });
+
+  test('a login that never gets the auth cookies fails with COOKIES_MISSING', { timeout: 90000 }, async () => {
+    const { status, body } = await service.request('POST', '/session', { ...fakeAccounts.missingCookies, force: true });
+
+    assert.equal(status, 500, JSON.stringify(body));
+    assert.equal(body.error.code, 'COOKIES_MISSING');
+    assert.match(body.error.message, /\.micrologicAUTH/);
+  });
+
+  test('/session-async delivers a signed success webhook', { timeout: 90000 }, async () => {
+    const requestId = randomUUID();
+    const queued = await service.request('POST', '/session-async', {
+      request_id: requestId,
+      webhook_url: `${receiver.url}/hooks/session`,
+      ...fakeAccounts.valid,
+      force: true
+    });
+    assert.equal(queued.status, 202, JSON.stringify(queued.body));
+
+    const delivery = await receiver.waitFor(entry => entry.body.request_id === requestId);
+    assert.equal(delivery.path, '/hooks/session');
+    assert.equal(delivery.signatureValid, true);
+    assert.equal(delivery.body.success, true);
+    assert.deepEqual(cookieNames(delivery.body.cookies[0]).sort(), [...REQUIRED_COOKIES].sort());
+    assert.equal(delivery.body.cookieDetails, undefined);
+
+    const job = await service.request('GET', `/session-async/${requestId}`);
+    assert.equal(job.status, 200);
+    assert.equal(job.body.state, 'succeeded');
+  });
+
+  test('/session-async reports a failed login through the webhook', { timeout: 90000 }, async () => {
+    const requestId = randomUUID();
+    await service.request('POST', '/session-async', {
+      request_id: requestId,
+      webhook_url: receiver.url,
+      ...fakeAccounts.valid,
+      pass: 'wrong-password',
+      force: true
+    });
+
+    const delivery = await receiver.waitFor(entry => entry.body.request_id === requestId);
+    assert.equal(delivery.body.success, false);
+    assert.equal(delivery.body.error.code, 'INVALID_CREDENTIALS');
+    assert.equal(delivery.body.error.retryable, false);
+  });
+
+  test('a streamed /session reports each login phase before the result', { timeout: 60000 }, async () => {
+    const response = await fetch(`${service.url}/session`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ ...fakeAccounts.valid, force: true, stream: 'sse' })
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const events = (await response.text()).trim().split('\n\n').map(block => {
+      const [, event] = block.match(/^event: (.+)$/m);
+      const [, data] = block.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+    const phases = events.filter(({ event }) => event === 'progress').map(({ data }) => data.phase);
+
+    assert.deepEqual(phases, [
+      'launch_browser', 'navigate', 'extract_sitekey', 'solve_captcha', 'fill_form',
+      'captcha_solved', 'inject_token', 'submit_login', 'check_2fa', 'harvest_cookies'
+    ]);
+    const elapsed = events.filter(({ event }) => event === 'progress').map(({ data }) => data.elapsed_ms);
+    assert.deepEqual(elapsed, [...elapsed].sort((a, b) => a - b));
+
+    const last = events.at(-1);
+    assert.equal(last.event, 'result');
+    assert.equal(last.data.status, 200);
+    assert.deepEqual(cookieNames(last.data.cookies[0]).sort(), [...REQUIRED_COOKIES].sort());
+  });
+
+  test('/session-async sends progress callbacks ahead of the final webhook', { timeout: 90000 }, async () => {
+    const requestId = randomUUID();
+    await service.request('POST', '/session-async', {
+      request_id: requestId,
+      webhook_url: `${receiver.url}/hooks/final`,
+      progress_webhook_url: `${receiver.url}/hooks/progress`,
+      ...fakeAccounts.valid,
+      force: true,
+      format: 'json'
+    });
+
+    await receiver.waitFor(entry => entry.path === '/hooks/final' && entry.body.request_id === requestId);
+    const deliveries = receiver.deliveries.filter(entry => entry.body.request_id === requestId);
+    const progress = deliveries.filter(entry => entry.path === '/hooks/progress');
+
+    assert.ok(progress.every(entry => entry.body.event === 'progress' && entry.signatureValid));
+    assert.equal(progress[0].body.phase, 'launch_browser');
+    assert.equal(progress.at(-1).body.phase, 'harvest_cookies');
+    assert.equal(deliveries.at(-1).path, '/hooks/final');
+    assert.equal(deliveries.at(-1).body.success, true);
+    assert.equal(deliveries.at(-1).body.format, 'json');
+    assert.deepEqual(deliveries.at(-1).body.cookies.map(cookie => cookie.name).sort(), [...REQUIRED_COOKIES].sort());
+  });
+
+  test('webhooks are retried until the receiver accepts them', { timeout: 90000 }, async () => {
+    const flaky = await startWebhookReceiver({ secret: WEBHOOK_SECRET, failFirst: 2 });
+    try {
+      const requestId = randomUUID();
+      await service.request('POST', '/session-async', {
+        request_id: requestId,
+        webhook_url: flaky.url,
+        ...fakeAccounts.valid
+      });
+
+      const delivery = await flaky.waitFor(entry => entry.body.request_id === requestId);
+      assert.equal(delivery.body.success, true);
+      assert.equal(delivery.signatureValid, true);
+      assert.equal(flaky.attempts(), 3);
+    } finally {
+      await flaky.close();
+    }
+  });
+});
@@ -0,0 +1,71 @@
+import http from 'node:http';
+import { CAPTCHA_TOKEN_PREFIX } from './fake-washassist.js';
+
+// Speaks the anti-captcha createTask/getTaskResult/getBalance protocol.
+// Tasks report `processing` for `pollsUntilReady` polls before handing out
+// a token the fake WashAssist site accepts.
+export const startFakeAntiCaptcha = async ({ apiKey, pollsUntilReady = 1, balance = 10 } = {}) => {
+  const tasks = new Map();
+  let nextTaskId = 1;
+
+  const server = http.createServer((request, response) => {
+    let raw = '';
+    request.on('data', chunk => { raw += chunk; });
+    request.on('end', () => {
+      const reply = body => {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+      };
+
+      let body;
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch {
+        return reply({ errorId: 1, errorCode: 'ERROR_BAD_JSON' });
+      }
+
+      if (apiKey && body.clientKey !== apiKey) {
+        return reply({ errorId: 1, errorCode: 'ERROR_KEY_DOES_NOT_EXIST', errorDescription: 'Account authorization key not found' });
+      }
+
+      switch (request.url) {
+        case '/createTask': {
+          const taskId = nextTaskId++;
+          tasks.set(taskId, { ...body.task, polls: 0 });
+          return reply({ errorId: 0, taskId });
+        }
+        case '/getTaskResult': {
+          const task = tasks.get(body.taskId);
+          if (!task) {
+            return reply({ errorId: 16, errorCode: 'ERROR_NO_SUCH_CAPCHA_ID' });
+          }
+          task.polls++;
+          if (task.polls <= pollsUntilReady) {
+            return reply({ errorId: 0, status: 'processing' });
+          }
+          return reply({ 
+            errorId: 0, 
+            status: 'ready', 
+            solution: { gRecaptchaResponse: `${CAPTCHA_TOKEN_PREFIX}${body.taskId}` } 
+          });
+        }
+        case '/getBalance':
+          return reply({ errorId: 0, balance });
+        default:
+          response.writeHead(404);
+          response.end();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tasks: () => [...tasks.values()],
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
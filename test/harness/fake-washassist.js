@@ -0,0 +1,273 @@
+import { randomBytes } from 'node:crypto';
+import http from 'node:http';
+
+// Stand-in for lb.washassist.com: the login page with its captcha widget,
+// the /Home/Login form POST and the 2FA check. Which failure mode a login
+// hits is picked by the user name (see `fakeAccounts`).
+export const FAKE_SITEKEY = '6LcFakeWashAssistSitekey000000000000000';
+export const FAKE_OTP = '123456';
+export const CAPTCHA_TOKEN_PREFIX = 'FAKE-CAPTCHA-';
+export const SSO_COOKIE_MAX_AGE = 20 * 60;
+export const FAKE_SITE_NAME = 'Fake Car Wash #1';
+// A .micrologicAUTH value the site answers with a 500, as if it fell over
+export const BROKEN_AUTH_TOKEN = 'server-error';
+
+// Rows behind the report XHRs, in the shapes reportDefinitions reads:
+// `/Date(ms)/` or ISO dates, currency strings, and one report wrapped in
+// `{ data }`. Requests filter them by startDate, endDate and siteId.
+const day = date => `/Date(${Date.parse(`${date}T00:00:00Z`)})/`;
+export const fakeReports = {
+  '/Reports/GetDailySalesSummary': {
+    wrap: false,
+    rows: [
+      { BusinessDate: day('2026-10-01'), SiteId: 1, SiteName: FAKE_SITE_NAME, GrossSales: '$1,234.50', NetSales: 1100.25, TransactionCount: 42 },
+      { BusinessDate: day('2026-10-02'), SiteId: 1, SiteName: FAKE_SITE_NAME, GrossSales: '$987.00', NetSales: 900, TransactionCount: 35 },
+      { BusinessDate: day('2026-10-02'), SiteId: 2, SiteName: 'Fake Car Wash #2', GrossSales: '$50.00', NetSales: 45, TransactionCount: 3 },
+      { BusinessDate: day('2026-10-03'), SiteId: 1, SiteName: FAKE_SITE_NAME, GrossSales: '$10.00', NetSales: 9, TransactionCount: 1 }
+    ]
+  },
+  '/Reports/GetWashCountsByPackage': {
+    wrap: true,
+    rows: [
+      { Date: '2026-10-01T00:00:00', SiteID: 1, SiteName: FAKE_SITE_NAME, PackageName: 'Ultimate, with wax', Count: 12 },
+      { Date: '2026-10-01T00:00:00', SiteID: 1, SiteName: FAKE_SITE_NAME, PackageName: 'Basic', Count: '30' }
+    ]
+  },
+  '/Reports/GetActiveMemberships': {
+    wrap: false,
+    rows: [
+      { AsOfDate: day('2026-10-02'), SiteId: 1, SiteName: FAKE_SITE_NAME, PlanName: 'Unlimited Gold', ActiveCount: 250 }
+    ]
+  }
+};
+
+const reportDate = row => {
+  const value = row.BusinessDate || row.Date || row.AsOfDate;
+  const msMatch = /\/Date\((-?\d+)\)\//.exec(value);
+  return new Date(msMatch ? parseInt(msMatch[1], 10) : `${value}Z`).toISOString().slice(0, 10);
+};
+
+export const fakeAccounts = {
+  valid: { user: 'owner', pass: 'correct-horse', code: 'WASH1' },
+  twoFactor: { user: 'twofa-owner', pass: 'correct-horse', code: 'WASH1' },
+  missingCookies: { user: 'nocookies-owner', pass: 'correct-horse', code: 'WASH1' },
+  slow: { user: 'slow-owner', pass: 'correct-horse', code: 'WASH1' }
+};
+
+const passwords = new Map(Object.values(fakeAccounts).map(account => [account.user, account]));
+
+const page = (body, errors = []) => `<!DOCTYPE html>
+<html>
+<head><title>WashAssist - Login</title></head>
+<body>
+  ${errors.length > 0
+    ? `<div class="validation-summary-errors"><ul>${errors.map(error => `<li>${error}</li>`).join('')}</ul></div>`
+    // Client-side validation keeps a hidden summary around for later
+    : '<div class="validation-summary-errors" style="display: none"><ul><li>Please correct the highlighted fields.</li></ul></div>'}
+  ${body}
+</body>
+</html>`;
+
+const loginPage = errors => page(`
+  <form id="loginForm" method="post" action="/Home/Login">
+    <input type="hidden" id="TimeZoneOffset" name="TimeZoneOffset">
+    <input type="text" id="idLogin" name="UserName">
+    <input type="password" id="idPassword" name="Password">
+    <input type="text" id="idCustomerCode" name="CustomerCode">
+    <input type="hidden" id="CaptchaToken" name="CaptchaToken">
+    <input type="hidden" id="OTPTOken" name="OTPTOken">
+    <div id="desktop-captcha" class="g-recaptcha" data-sitekey="${FAKE_SITEKEY}"></div>
+    <textarea name="g-recaptcha-response" style="display: none"></textarea>
+    <button type="submit">Log in</button>
+  </form>`, errors);
+
+const dashboardPage = user => page(`
+  <h1>Dashboard</h1>
+  <div class="site-name">${FAKE_SITE_NAME}</div>
+  <span class="user-name">${user}</span>
+  <a href="/Home/Logout">Log out</a>`);
+
+const parseCookies = header => Object.fromEntries((header || '')
+  .split(';')
+  .map(pair => pair.trim())
+  .filter(pair => pair.includes('='))
+  .map(pair => [pair.slice(0, pair.indexOf('=')), pair.slice(pair.indexOf('=') + 1)]));
+
+const readBody = request => new Promise((resolve, reject) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => resolve(body));
+  request.on('error', reject);
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const startFakeWashAssist = async ({ slowMs = 3000 } = {}) => {
+  // ASP.NET_SessionId -> { user, awaitingOtp }
+  const sessions = new Map();
+  // Logged-in .micrologicAUTH values -> user
+  const authTokens = new Map();
+  const logins = [];
+  const reportRequests = [];
+
+  const newSessionId = () => randomBytes(12).toString('hex');
+
+  const sessionFor = (request, response) => {
+    const cookies = parseCookies(request.headers.cookie);
+    let id = cookies['ASP.NET_SessionId'];
+    if (!id || !sessions.has(id)) {
+      id = newSessionId();
+      sessions.set(id, {});
+      response.setHeader('Set-Cookie', [`ASP.NET_SessionId=${id}; Path=/; HttpOnly`]);
+    }
+    return { id, session: sessions.get(id), cookies };
+  };
+
+  const signIn = (response, user, { withAuth = true } = {}) => {
+    const existing = [].concat(response.getHeader('Set-Cookie') || []);
+    if (!withAuth) return;
+
+    const auth = randomBytes(16).toString('hex');
+    authTokens.set(auth, user);
+    response.setHeader('Set-Cookie', [
+      ...existing,
+      `.micrologicAUTH=${auth}; Path=/; HttpOnly`,
+      // The one persistent cookie, so session expiry can follow a real cookie
+      `r_ssoCookie=${randomBytes(8).toString('hex')}; Path=/; Max-Age=${SSO_COOKIE_MAX_AGE}`
+    ]);
+  };
+
+  const html = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end(body);
+  };
+
+  const handleLogin = async (request, response) => {
+    const { session } = sessionFor(request, response);
+    const form = new URLSearchParams(await readBody(request));
+    const user = form.get('UserName');
+    const attempt = {
+      user,
+      timezoneOffset: form.get('TimeZoneOffset'),
+      captchaToken: form.get('CaptchaToken'),
+      otp: form.get('OTPTOken'),
+      submitOtp: form.get('bOTPTOken') === 'true',
+      resendOtp: form.get('bResendOTPTOken') === 'true'
+    };
+    logins.push(attempt);
+
+    if (user === fakeAccounts.slow.user) {
+      await delay(slowMs);
+    }
+
+    // The OTP step posts the whole form again with the OTP fields filled in
+    if (session.awaitingOtp && session.user === user) {
+      if (attempt.resendOtp) {
+        return html(response, 200, loginPage());
+      }
+      if (attempt.submitOtp) {
+        if (attempt.otp !== FAKE_OTP) {
+          return html(response, 200, loginPage(['Invalid OTP, please try again.']));
+        }
+        session.awaitingOtp = false;
+        signIn(response, user);
+        return html(response, 200, dashboardPage(user));
+      }
+    }
+
+    const captcha = form.get('g-recaptcha-response') || '';
+    if (!captcha.startsWith(CAPTCHA_TOKEN_PREFIX) || form.get('CaptchaToken') !== captcha) {
+      return html(response, 200, loginPage(['Please verify that you are not a robot.']));
+    }
+
+    const account = passwords.get(user);
+    if (!account || account.pass !== form.get('Password')) {
+      return html(response, 200, loginPage(['The user name, password or customer code is incorrect.']));
+    }
+    if (account.code !== form.get('CustomerCode')) {
+      return html(response, 200, loginPage(['Invalid customer code.']));
+    }
+
+    session.user = user;
+    if (user === fakeAccounts.twoFactor.user) {
+      session.awaitingOtp = true;
+      return html(response, 200, loginPage());
+    }
+
+    // Signs in without ever issuing the auth cookies
+    signIn(response, user, { withAuth: user !== fakeAccounts.missingCookies.user });
+    return html(response, 200, dashboardPage(user));
+  };
+
+  const server = http.createServer(async (request, response) => {
+    try {
+      const url = new URL(request.url, 'http://localhost');
+
+      // HEAD is what the readiness probe sends
+      if (['GET', 'HEAD'].includes(request.method) && url.pathname === '/') {
+        const { cookies } = sessionFor(request, response);
+        const auth = cookies['.micrologicAUTH'];
+        if (auth === BROKEN_AUTH_TOKEN) {
+          return html(response, 500, page('<h1>Server Error in \'/\' Application.</h1>'));
+        }
+        if (!authTokens.has(auth)) {
+          return html(response, 200, loginPage());
+        }
+        // Sliding expiration: every authenticated page view re-issues the SSO cookie
+        if (cookies.r_ssoCookie) {
+          response.setHeader('Set-Cookie', [
+            ...[].concat(response.getHeader('Set-Cookie') || []),
+            `r_ssoCookie=${cookies.r_ssoCookie}; Path=/; Max-Age=${SSO_COOKIE_MAX_AGE}`
+          ]);
+        }
+        return html(response, 200, dashboardPage(authTokens.get(auth)));
+      }
+
+      if (request.method === 'POST' && url.pathname === '/Home/Login') {
+        return await handleLogin(request, response);
+      }
+
+      if (request.method === 'POST' && url.pathname === '/Home/CheckTwoFacotEnabledOrResendOtp') {
+        const { session } = sessionFor(request, response);
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        return response.end(JSON.stringify({ isEnabled: session.awaitingOtp === true }));
+      }
+
+      if (request.method === 'GET' && fakeReports[url.pathname]) {
+        const { cookies } = sessionFor(request, response);
+        const query = Object.fromEntries(url.searchParams);
+        reportRequests.push({ path: url.pathname, query, cookies: Object.keys(cookies) });
+        if (!authTokens.has(cookies['.micrologicAUTH'])) {
+          response.writeHead(401, { 'Content-Type': 'application/json' });
+          return response.end(JSON.stringify({ message: 'Not logged in' }));
+        }
+
+        const { wrap, rows } = fakeReports[url.pathname];
+        const matching = rows.filter(row => 
+          reportDate(row) >= query.startDate && reportDate(row) <= query.endDate &&
+          (!query.siteId || String(row.SiteId ?? row.SiteID) === query.siteId)
+        );
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        return response.end(JSON.stringify(wrap ? { data: matching } : matching));
+      }
+
+      html(response, 404, page('<h1>Not found</h1>'));
+    } catch (error) {
+      html(response, 500, page(`<h1>${error.message}</h1>`));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    logins,
+    reportRequests,
+    // Ends a session server-side, like a logout from another browser
+    logout: auth => authTokens.delete(auth),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
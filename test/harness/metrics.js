@@ -0,0 +1,34 @@
+// Scrapes a Prometheus text exposition into `types` (metric name -> type)
+// and `samples` ({ name, labels, value }), with `value(name, labels)`
+// looking up the sample whose labels match exactly (0 when absent).
+export const scrapeMetrics = async (url) => {
+  const response = await fetch(`${url}/metrics`);
+  const text = await response.text();
+  const types = new Map();
+  const samples = [];
+
+  for (const line of text.split('\n')) {
+    const type = line.match(/^# TYPE (\S+) (\S+)$/);
+    if (type) {
+      types.set(type[1], type[2]);
+      continue;
+    }
+    if (!line || line.startsWith('#')) continue;
+
+    const [, name, rawLabels = '', value] = line.match(/^([^\s{]+)(?:\{(.*)\})? (\S+)$/);
+    const labels = Object.fromEntries([...rawLabels.matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)].map(([, key, val]) => [key, val]));
+    samples.push({ name, labels, value: Number(value) });
+  }
+
+  const sameLabels = (a, b) => {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+  };
+
+  return {
+    status: response.status,
+    types,
+    samples,
+    value: (name, labels = {}) => samples.find(sample => sample.name === name && sameLabels(sample.labels, labels))?.value ?? 0
+  };
+};
@@ -0,0 +1,119 @@
+import { spawn } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import puppeteer from 'puppeteer';
+
+const rootDir = new URL('../..', import.meta.url);
+
+// Logins need a real Chromium; PUPPETEER_EXECUTABLE_PATH can point at one
+// when puppeteer's own download was skipped
+export const browserAvailable = (() => {
+  try {
+    return existsSync(puppeteer.executablePath());
+  } catch {
+    return false;
+  }
+})();
+
+// Runs index.js in a child process on a random port with its data files in
+// a scratch directory. `output()` is everything the service logged.
+export const startService = async (env = {}) => {
+  const dataDir = await mkdtemp(join(tmpdir(), 'washassist-test-'));
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: rootDir,
+    env: {
+      ...process.env,
+      VERCEL: '',
+      NOW_REGION: '',
+      NODE_ENV: 'test',
+      PORT: '0',
+      HOST: '127.0.0.1',
+      job_journal_path: join(dataDir, 'jobs.jsonl'),
+      webhook_dead_letter_path: join(dataDir, 'dead-letters.jsonl'),
+      artifact_dir: join(dataDir, 'artifacts'),
+      vault_path: join(dataDir, 'vault.json'),
+      session_store_path: join(dataDir, 'sessions.json'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  let exited = false;
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  child.once('exit', () => { exited = true; });
+
+  const waitForOutput = (pattern, timeoutMs = 30000) => new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      child.stdout.off('data', check);
+      child.off('exit', onExit);
+    };
+    const check = () => {
+      const match = output.match(pattern);
+      if (match) {
+        cleanup();
+        resolve(match);
+      }
+    };
+    const onExit = code => {
+      cleanup();
+      reject(new Error(`Service exited (${code}) before logging ${pattern}: ${output}`));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Service did not log ${pattern} within ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.on('data', check);
+    child.once('exit', onExit);
+    check();
+  });
+
+  const stop = async () => {
+    if (!exited) {
+      const done = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      // Shutdown waits on in-flight work; don't let a stuck login hang the run
+      const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+      await done;
+      clearTimeout(timer);
+    }
+    await rm(dataDir, { recursive: true, force: true });
+  };
+
+  let port;
+  try {
+    [, port] = await waitForOutput(/Server listening at http:\/\/127\.0\.0\.1:(\d+)/);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+  const url = `http://127.0.0.1:${port}`;
+
+  return {
+    url,
+    dataDir,
+    output: () => output,
+    waitForOutput,
+    stop,
+    async request(method, path, body) {
+      const response = await fetch(`${url}${path}`, {
+        method,
+        headers: body ? { 'content-type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // Left as text for the caller
+      }
+      return { status: response.status, body: json, text };
+    }
+  };
+};
@@ -0,0 +1,72 @@
+import { createHmac } from 'node:crypto';
+import http from 'node:http';
+
+// Collects webhook deliveries. The first `failFirst` requests get a 500 so
+// retries can be exercised.
+export const startWebhookReceiver = async ({ secret = null, failFirst = 0 } = {}) => {
+  const deliveries = [];
+  const waiters = [];
+  let failuresLeft = failFirst;
+  let attempts = 0;
+
+  const settle = () => {
+    for (const waiter of [...waiters]) {
+      const match = deliveries.find(waiter.predicate);
+      if (match) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(match);
+      }
+    }
+  };
+
+  const server = http.createServer((request, response) => {
+    let raw = '';
+    request.on('data', chunk => { raw += chunk; });
+    request.on('end', () => {
+      attempts++;
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        response.writeHead(500);
+        return response.end('try again');
+      }
+
+      const signature = request.headers['x-signature'] || null;
+      deliveries.push({
+        path: request.url,
+        headers: request.headers,
+        body: JSON.parse(raw),
+        signatureValid: secret 
+          ? signature === `sha256=${createHmac('sha256', secret).update(raw).digest('hex')}` 
+          : null
+      });
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end('{"ok":true}');
+      settle();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    deliveries,
+    attempts: () => attempts,
+    // Resolves with the first delivery matching `predicate`
+    waitFor(predicate, timeoutMs = 60000) {
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`No matching webhook within ${timeoutMs}ms (${deliveries.length} received)`));
+        }, timeoutMs);
+        waiters.push(waiter);
+        settle();
+      });
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeMetrics } from './harness/metrics.js';
+import { startService } from './harness/service.js';
+
+test('/metrics exposes the service counters, histograms and gauges', { timeout: 30000 }, async () => {
+  const service = await startService();
+
+  try {
+    const scrape = await scrapeMetrics(service.url);
+    assert.equal(scrape.status, 200);
+
+    const expected = {
+      washassist_login_duration_seconds: 'histogram',
+      washassist_captcha_solve_duration_seconds: 'histogram',
+      washassist_login_outcomes_total: 'counter',
+      washassist_session_cache_total: 'counter',
+      washassist_webhook_attempts_total: 'counter',
+      washassist_webhook_deliveries_total: 'counter',
+      washassist_browser_launches_total: 'counter',
+      washassist_proxy_benches_total: 'counter',
+      washassist_cookie_harvest_retries_total: 'counter',
+      washassist_logins_in_flight: 'gauge',
+      washassist_job_queue_depth: 'gauge',
+      washassist_browser_pool: 'gauge',
+      washassist_process_cpu_seconds_total: 'counter'
+    };
+    for (const [name, type] of Object.entries(expected)) {
+      assert.equal(scrape.types.get(name), type, name);
+    }
+
+    // Gauges sampled on scrape report every label value, even at zero
+    const labelValues = (name, label) => scrape.samples
+      .filter(sample => sample.name === name)
+      .map(sample => {
+        assert.deepEqual(Object.keys(sample.labels), [label], name);
+        return sample.labels[label];
+      })
+      .sort();
+    assert.deepEqual(labelValues('washassist_job_queue_depth', 'state'), ['queued', 'running']);
+    assert.deepEqual(labelValues('washassist_browser_pool', 'resource'), ['active_contexts', 'browsers', 'queued']);
+    assert.equal(scrape.value('washassist_logins_in_flight'), 0);
+    assert.equal(scrape.value('washassist_cookie_harvest_retries_total'), 0);
+  } finally {
+    await service.stop();
+  }
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startService } from './harness/service.js';
+
+test('resolveProxyPath matches the path WashAssist would resolve', async () => {
+  process.env.proxy_allowed_paths = '/Reports/*, /Home/Ping';
+  const { washAssistService } = await import('../lib/core.js');
+
+  assert.equal(washAssistService.resolveProxyPath('/Reports/GetDailySalesSummary'), '/Reports/GetDailySalesSummary');
+  assert.equal(washAssistService.resolveProxyPath('/Home/Ping'), '/Home/Ping');
+  assert.equal(washAssistService.resolveProxyPath('/Home/Ping/more'), null);
+
+  for (const path of [
+    '/Reports/..%2fAdmin/DeleteUser',
+    '/Reports/..%2FAdmin/DeleteUser',
+    '/Reports/%2e%2e/Admin/DeleteUser',
+    '/Reports/../Admin/DeleteUser',
+    '/Reports/.%2E/Admin/DeleteUser',
+    '/Reports/..%5cAdmin/DeleteUser',
+    '/Reports\\..\\Admin/DeleteUser',
+    '//attacker.example/Reports/x'
+  ]) {
+    assert.equal(washAssistService.resolveProxyPath(path), null, path);
+  }
+});
+
+test('/washassist/* refuses allowlist escapes before logging in', { timeout: 30000 }, async () => {
+  const service = await startService({ proxy_allowed_paths: '/Reports/*' });
+
+  try {
+    const response = await fetch(`${service.url}/washassist/Reports/..%2fAdmin/DeleteUser`, {
+      headers: { 'x-washassist-user': 'owner', 'x-washassist-pass': 'correct-horse', 'x-washassist-code': 'WASH1' }
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 403, JSON.stringify(body));
+    assert.equal(body.error.code, 'FORBIDDEN');
+    await service.waitForOutput(/Proxy path not allowed/);
+  } finally {
+    await service.stop();
+  }
+});
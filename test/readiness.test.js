@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeWashAssist } from './harness/fake-washassist.js';
+import { startService } from './harness/service.js';
+
+test('/ready reports not_ready with the failing check while /health stays up', { timeout: 60000 }, async () => {
+  const site = await startFakeWashAssist();
+  const service = await startService({
+    site_profile: JSON.stringify({ baseUrl: site.url, cookieUrls: [site.url] }),
+    captcha_providers: '',
+    anti_key: '',
+    readiness_timeout_ms: '20000'
+  });
+
+  try {
+    const ready = await service.request('GET', '/ready');
+    assert.equal(ready.status, 503, JSON.stringify(ready.body));
+    assert.equal(ready.body.status, 'not_ready');
+    assert.deepEqual(Object.keys(ready.body.checks).sort(), ['browser', 'captcha', 'storage', 'washassist']);
+    assert.equal(ready.body.checks.captcha.ok, false);
+    assert.match(ready.body.checks.captcha.error, /No captcha provider configured/);
+    assert.equal(ready.body.checks.washassist.ok, true, JSON.stringify(ready.body.checks.washassist));
+    assert.equal(ready.body.checks.storage.ok, true, JSON.stringify(ready.body.checks.storage));
+
+    const health = await service.request('GET', '/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+  } finally {
+    await service.stop();
+    await site.close();
+  }
+});
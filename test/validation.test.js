@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startService } from './harness/service.js';
+
+test('routes answer a request without a body with VALIDATION_ERROR', { timeout: 30000 }, async () => {
+  const service = await startService({ api_keys: '' });
+
+  try {
+    for (const [method, path] of [
+      ['POST', '/session'],
+      ['POST', '/session-async'],
+      ['POST', '/session/batch'],
+      ['POST', '/session-async/batch'],
+      ['POST', '/session/otp'],
+      ['POST', '/session/otp/resend'],
+      ['POST', '/session/check'],
+      ['POST', '/refresh'],
+      ['POST', '/accounts'],
+      ['PUT', '/accounts/some-account']
+    ]) {
+      const response = await fetch(`${service.url}${path}`, { method });
+      const body = await response.json();
+      assert.equal(response.status, 400, `${method} ${path}: ${JSON.stringify(body)}`);
+      assert.equal(body.error.code, 'VALIDATION_ERROR', `${method} ${path}`);
+      assert.equal(body.error.phase, 'validate_request', `${method} ${path}`);
+    }
+  } finally {
+    await service.stop();
+  }
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+test('a failed vault write rolls the change back and leaves later writes working', async () => {
+  process.env.vault_master_key = 'vault-test-master-key';
+  const { credentialVault } = await import('../lib/core.js');
+  const dir = await mkdtemp(join(tmpdir(), 'washassist-vault-'));
+
+  try {
+    credentialVault.path = join(dir, 'vault.json');
+    credentialVault.records = null;
+    await credentialVault.create({ id: 'kept', user: 'owner', pass: 'first-pass', code: 'WASH1' });
+
+    // A regular file where the vault's directory should be: every write fails
+    const blocker = join(dir, 'not-a-dir');
+    await writeFile(blocker, '');
+    credentialVault.path = join(blocker, 'vault.json');
+
+    await assert.rejects(credentialVault.create({ id: 'lost', user: 'other', pass: 'pass', code: 'WASH2' }), { code: 'VAULT_UNAVAILABLE' });
+    await assert.rejects(credentialVault.update('kept', { pass: 'second-pass', label: 'renamed' }), { code: 'VAULT_UNAVAILABLE' });
+    await assert.rejects(credentialVault.remove('kept'), { code: 'VAULT_UNAVAILABLE' });
+
+    assert.deepEqual((await credentialVault.list()).map(account => account.id), ['kept']);
+    assert.equal((await credentialVault.get('kept')).label, null);
+    assert.equal((await credentialVault.credentials('kept')).pass, 'first-pass');
+
+    credentialVault.path = join(dir, 'vault.json');
+    await credentialVault.update('kept', { pass: 'second-pass' });
+    assert.equal((await credentialVault.credentials('kept')).pass, 'second-pass');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
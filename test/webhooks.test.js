@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startWebhookReceiver } from './harness/webhook-receiver.js';
+
+const secret = 'webhook-test-secret';
+
+const setup = async () => {
+  process.env.webhook_secret = secret;
+  const { webhookService, deadLetterStore } = await import('../lib/core.js');
+  const dir = await mkdtemp(join(tmpdir(), 'washassist-webhooks-'));
+
+  webhookService.maxAttempts = 3;
+  webhookService.baseDelayMs = 10;
+  deadLetterStore.path = join(dir, 'dead-letters.jsonl');
+  deadLetterStore.entries = null;
+
+  return { webhookService, deadLetterStore, dir };
+};
+
+test('a webhook that keeps failing is dead-lettered and replays with a valid signature', { timeout: 30000 }, async () => {
+  const { webhookService, deadLetterStore, dir } = await setup();
+  const receiver = await startWebhookReceiver({ secret, failFirst: 3 });
+
+  try {
+    const payload = { request_id: 'req-dead-letter', status: 'failed' };
+    const outcome = await webhookService.callWebhook(`${receiver.url}/hook`, payload);
+
+    assert.deepEqual(outcome, { delivered: false, attempts: 3, error: 'Webhook call failed with status 500' });
+    assert.equal(receiver.attempts(), 3);
+    assert.equal(receiver.deliveries.length, 0);
+
+    // Reload from disk so the entry is known to be persisted, not just cached
+    await deadLetterStore.writing;
+    deadLetterStore.entries = null;
+    const [entry, ...rest] = await deadLetterStore.list();
+    assert.equal(rest.length, 0);
+    assert.equal(entry.webhook_url, `${receiver.url}/hook`);
+    assert.deepEqual(entry.payload, payload);
+    assert.equal(entry.attempts, 3);
+
+    const replayed = await webhookService.replay(entry.id);
+    assert.deepEqual(replayed, { delivered: true, attempts: 1 });
+
+    const delivery = await receiver.waitFor(delivery => delivery.body.request_id === 'req-dead-letter');
+    assert.equal(delivery.path, '/hook');
+    assert.equal(delivery.signatureValid, true);
+    assert.equal(await deadLetterStore.get(entry.id), null);
+  } finally {
+    await receiver.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a webhook that recovers within the retry budget is not dead-lettered', { timeout: 30000 }, async () => {
+  const { webhookService, deadLetterStore, dir } = await setup();
+  const receiver = await startWebhookReceiver({ secret, failFirst: 2 });
+
+  try {
+    const outcome = await webhookService.callWebhook(`${receiver.url}/hook`, { request_id: 'req-retried' });
+
+    assert.deepEqual(outcome, { delivered: true, attempts: 3 });
+    assert.equal(receiver.deliveries.length, 1);
+    assert.equal(receiver.deliveries[0].signatureValid, true);
+    assert.deepEqual(await deadLetterStore.list(), []);
+  } finally {
+    await receiver.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});